@@ -0,0 +1,61 @@
+// audit.js — Audit trail: who changed, downloaded or accessed which record, and from where
+const db = require('./db');
+
+// Signed-in admins are recorded by account; portal visitors and center directors by the email they used.
+// Without a request the event comes from the app itself (e.g. the scheduled trash purge).
+function actorOf(req, actor, actorType = 'student') {
+  if (!req)     return { actorType: 'system', actorId: null, actor: null };
+  if (req.user) return { actorType: 'admin', actorId: req.user.id, actor: req.user.email };
+  if (actor)    return { actorType, actorId: null, actor };
+  return { actorType: 'public', actorId: null, actor: null };
+}
+
+/**
+ * Records one event. A failed write is logged but never fails the request that caused it.
+ * event = { action, targetType?, targetId?, before?, after?, actor?, actorType? }
+ * actor is only used for requests without an admin session (e.g. the portal email);
+ * actorType says who that is, 'student' unless given (e.g. 'director').
+ * Pass req = null for events the app triggers on its own.
+ */
+async function record(req, event) {
+  try {
+    await db.recordAuditEvent({
+      ...actorOf(req, event.actor, event.actorType),
+      ip:         req && req.ip,
+      action:     event.action,
+      targetType: event.targetType,
+      targetId:   event.targetId,
+      before:     event.before,
+      after:      event.after,
+    });
+  } catch (e) {
+    console.error('Audit write failed:', e);
+  }
+}
+
+// ── CSV EXPORT ────────────────────────────────────────────────
+
+const CSV_COLUMNS = ['occurred_at', 'actor_type', 'actor', 'ip', 'action', 'target_type', 'target_id', 'before', 'after'];
+
+// Text starting with = + - @ (or a tab or carriage return) would run as a formula in Excel, so it gets a
+// leading ' — names, emails and course titles come from LMS exports. Numbers are written as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER        = /^-?\d+(\.\d+)?$/;
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) v = v.toISOString();
+  else if (typeof v === 'object') v = JSON.stringify(v);
+  v = String(v);
+  if (FORMULA_START.test(v) && !NUMBER.test(v)) v = "'" + v;
+  return /[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+}
+
+// Audit events by default; other reports pass their own columns, and optionally header labels
+function toCSV(rows, columns = CSV_COLUMNS, header = columns) {
+  const lines = [header.map(csvCell).join(',')];
+  rows.forEach(r => lines.push(columns.map(c => csvCell(r[c])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { record, toCSV };
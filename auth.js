@@ -0,0 +1,198 @@
+// auth.js — Admin accounts (password hashing, session cookies, role checks) and portal / director sessions
+const crypto = require('crypto');
+const db     = require('./db');
+
+const COOKIE        = 'cda_admin';
+const SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS, 10) || 12;
+
+const PORTAL_COOKIE = 'cda_portal';
+const PORTAL_HOURS  = parseInt(process.env.PORTAL_SESSION_HOURS, 10) || 24;
+const DIRECTOR_COOKIE = 'cda_director'; // same lifetime and secret as the portal
+const PORTAL_SECRET = process.env.PORTAL_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.PORTAL_SESSION_SECRET) {
+  console.warn('⚠ PORTAL_SESSION_SECRET is not set — portal and director sessions will end whenever the app restarts.');
+}
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'generator', 'admin'];
+
+// ── PASSWORDS ─────────────────────────────────────────────────
+// Stored as scrypt$<salt>$<hash>, both hex
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual   = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// ── COOKIES ───────────────────────────────────────────────────
+
+// A cookie whose value is not valid percent-encoding is left out, as if it had not been sent
+function parseCookies(req) {
+  const out = {};
+  (req.headers.cookie || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i < 0) return;
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (e) {}
+  });
+  return out;
+}
+
+// Only a hash of the session token is kept in the database
+const tokenHash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+async function startSession(res, user) {
+  const token   = crypto.randomBytes(32).toString('hex');
+  const expires = new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000);
+  await db.createAdminSession(user.id, tokenHash(token), expires);
+  res.cookie(COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure:   process.env.NODE_ENV === 'production',
+    expires,
+  });
+}
+
+async function endSession(req, res) {
+  const token = parseCookies(req)[COOKIE];
+  if (token) await db.deleteAdminSession(tokenHash(token));
+  res.clearCookie(COOKIE);
+}
+
+// ── MIDDLEWARE ────────────────────────────────────────────────
+
+// Attaches req.user when the request carries a valid admin session
+async function loadUser(req) {
+  if (req.user !== undefined) return req.user;
+  const token = parseCookies(req)[COOKIE];
+  req.user = token ? await db.getAdminSessionUser(tokenHash(token)) : null;
+  return req.user;
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// API guard — 401 when not signed in, 403 when the role is too low
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const user = await loadUser(req);
+      if (!user) return res.status(401).json({ error: 'Please sign in.' });
+      if (!hasRole(user, role)) return res.status(403).json({ error: 'Your account does not have permission to do that.' });
+      next();
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  };
+}
+
+// Page guard — sends signed-out visitors to the login page
+function requirePage(req, res, next) {
+  loadUser(req)
+    .then(user => {
+      if (user) return next();
+      res.redirect('/login?next=' + encodeURIComponent(req.originalUrl));
+    })
+    .catch(next);
+}
+
+// ── PORTAL SESSIONS ───────────────────────────────────────────
+// Issued once a magic link is consumed. The cookie holds the email and expiry,
+// signed with PORTAL_SESSION_SECRET so it can't be forged or extended.
+// Center directors get the same kind of session under their own cookie.
+
+const sign = payload => crypto.createHmac('sha256', PORTAL_SECRET).update(payload).digest('base64url');
+
+function startSignedSession(res, cookie, email) {
+  const expires = new Date(Date.now() + PORTAL_HOURS * 60 * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({ email, exp: expires.getTime() })).toString('base64url');
+  res.cookie(cookie, payload + '.' + sign(payload), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure:   process.env.NODE_ENV === 'production',
+    expires,
+  });
+}
+
+const startPortalSession   = (res, email) => startSignedSession(res, PORTAL_COOKIE, email);
+const endPortalSession     = res => res.clearCookie(PORTAL_COOKIE);
+const startDirectorSession = (res, email) => startSignedSession(res, DIRECTOR_COOKIE, email);
+const endDirectorSession   = res => res.clearCookie(DIRECTOR_COOKIE);
+
+// Returns the session's email, or null when the cookie is missing, tampered with or expired
+function sessionEmail(req, cookie) {
+  const [payload, sig] = String(parseCookies(req)[cookie] || '').split('.');
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual   = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const { email, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return exp > Date.now() && email ? email : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Portal API guard — sets req.portalEmail
+function requirePortal(req, res, next) {
+  const email = sessionEmail(req, PORTAL_COOKIE);
+  if (!email) return res.status(401).json({ error: 'Your session has expired. Please request a new link.' });
+  req.portalEmail = email;
+  next();
+}
+
+// Director API guard — sets req.directorEmail
+function requireDirector(req, res, next) {
+  const email = sessionEmail(req, DIRECTOR_COOKIE);
+  if (!email) return res.status(401).json({ error: 'Your session has expired. Please request a new link.' });
+  req.directorEmail = email;
+  next();
+}
+
+// Name recorded on generated packages and other records the user creates
+const actorName = user => (user && (user.name || user.email)) || 'Admin';
+
+// Creates the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when there are no accounts yet
+async function bootstrapAdmin() {
+  if (await db.countAdminUsers() > 0) return;
+  const email    = (process.env.ADMIN_EMAIL || '').toLowerCase().trim();
+  const password = process.env.ADMIN_PASSWORD || '';
+  if (!email || !password) {
+    console.warn('⚠ No admin accounts exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first one.');
+    return;
+  }
+  await db.createAdminUser({ email, name: 'Administrator', role: 'admin', passwordHash: hashPassword(password) });
+  console.log(`✅ Created admin account for ${email}`);
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  startSession,
+  endSession,
+  loadUser,
+  hasRole,
+  requireRole,
+  requirePage,
+  actorName,
+  bootstrapAdmin,
+  startPortalSession,
+  endPortalSession,
+  requirePortal,
+  startDirectorSession,
+  endDirectorSession,
+  requireDirector,
+};
@@ -0,0 +1,101 @@
+// db/catalog-seed.js — Initial course catalog, loaded into an empty database
+// Keywords merge the single-learner (csv) and batch (kw) lists that used to live in the HTML pages.
+
+const AREAS = [
+  { label: 'Planning a Safe and Healthy Learning Environment',               short: 'Safe & Healthy',          color: '#2d6a9f' },
+  { label: "Advancing Children's Physical and Intellectual Development",     short: 'Physical & Intellectual', color: '#217a4e' },
+  { label: "Supporting Children's Social and Emotional Development",         short: 'Social & Emotional',      color: '#7a3d8c' },
+  { label: 'Building Productive Relationships with Families',                short: 'Family & Community',      color: '#b85c00' },
+  { label: 'Managing an Effective Program Operation',                        short: 'Program Management',      color: '#1a5978' },
+  { label: 'Maintaining a Commitment to Professionalism',                    short: 'Professionalism',         color: '#6b3a1f' },
+  { label: "Observing and Recording Children's Behavior",                    short: 'Observation & Records',   color: '#3d6b1a' },
+  { label: 'Understanding the Principles of Child Development and Learning', short: 'Child Development',       color: '#8c2d44' },
+];
+
+const PROGRAMS = [
+  { code: 'pre', label: 'Preschool CDA Training',          short: 'Preschool' },
+  { code: 'inf', label: 'Infant and Toddler CDA Training', short: 'Infant & Toddler' },
+];
+
+// Courses shared by both programs, keyed by the position they take in each list
+const SHARED = {
+  essentials:   { name: 'Early Educator Essentials – foundations in health and safety', area: 0, kw: ['early education essentials', 'early educator essentials'] },
+  supervision:  { name: 'Active Supervision', area: 0, kw: ['active supervision'] },
+  nutrition:    { name: 'Nutrition', area: 0, kw: ['nutrition'] },
+  family1:      { name: 'Building Productive Relationships with Families - 1', area: 3, kw: ['building productive relationships part 1', 'relationships part 1', 'productive relationships part 1'] },
+  family2:      { name: 'Building Productive Relationships with Families - 2', area: 3, kw: ['building productive relationships part 2', 'relationships part 2', 'productive relationships part 2'] },
+  family3:      { name: 'Building Productive Relationships with Families - 3', area: 3, kw: ['building productive relationships part 3', 'relationships part 3', 'productive relationships part 3'] },
+  family4:      { name: 'Building Productive Relationships with Families - 4', area: 3, kw: ['building productive relationships part 4', 'relationships part 4', 'productive relationships part 4'] },
+  family5:      { name: 'Building Productive Relationships with Families - 5', area: 3, kw: ['building productive relationships part 5', 'relationships part 5', 'productive relationships part 5'] },
+  substitutes:  { name: 'Planning for Substitutes', area: 4, kw: ['preparing for substitutes', 'planning for substitutes', 'substitutes'] },
+  community:    { name: 'Community Partnerships', area: 4, kw: ['community partnerships'] },
+  coworker:     { name: 'Co-Worker Communication', area: 4, kw: ['effective communication with coworkers', 'co-worker communication', 'coworker', 'effective communication'] },
+  records:      { name: 'Record Keeping', area: 4, kw: ['record keeping'] },
+  reporting:    { name: 'Reporting', area: 4, kw: ['reporting'] },
+  advocacy:     { name: 'Advocacy in Early Childhood', area: 5, kw: ['advocacy in early childhood', 'advocacy'] },
+  ethics:       { name: 'Ethics in the Early Childhood Profession', area: 5, kw: ['ethics in early childhood', 'ethics'] },
+  profdev:      { name: 'Professional Development in Early Childhood', area: 5, kw: ['professional development'] },
+  goals:        { name: 'Goal Setting in Early Childhood Classrooms', area: 5, kw: ['goal setting in early childhood', 'goal setting'] },
+  networking:   { name: 'Networking for Early Childhood Teachers', area: 5, kw: ['networking in the early childhood', 'networking for early childhood', 'networking'] },
+  observation:  { name: 'Objective Observation', area: 6, kw: ['objective observation', 'observation'] },
+  assessment:   { name: 'Assessment', area: 6, kw: ['assessment'] },
+  planning:     { name: 'Planning from Assessment', area: 6, kw: ['planning from assessment'] },
+  delays:       { name: 'Developmental Delays', area: 6, kw: ['developmental delays'] },
+  intervention: { name: 'Intervention / IEP / Special Needs', area: 6, kw: ['intervention-special needs', 'intervention/iep', 'intervention special needs', 'intervention', 'special needs', 'iep'] },
+  piaget:       { name: 'Theory Application – Jean Piaget', area: 7, kw: ['jean piaget', 'piaget'] },
+  vygotsky:     { name: 'Theory Application – Lev Vygotsky', area: 7, kw: ['lev vygotsky', 'vygotsky'] },
+  erikson:      { name: 'Theory Application – Erik Erikson', area: 7, kw: ['erik erikson', 'erikson'] },
+  montessori:   { name: 'Theory Application – Maria Montessori', area: 7, kw: ['maria montessori', 'montessori'] },
+  bronfen:      { name: 'Theory Application – Urie Bronfenbrenner', area: 7, kw: ['urie bronfenbrenner', 'bronfenbrenner'] },
+};
+
+const PRE = [
+  SHARED.essentials,
+  SHARED.supervision,
+  { name: 'Space Planning in the Preschool Classroom', area: 0, kw: ['space planning in the preschool', 'space planning for preschool', 'space planning'] },
+  { name: 'Materials in the Preschool Classroom', area: 0, kw: ['materials in the preschool'] },
+  SHARED.nutrition,
+  { name: 'Physical Development in Preschool', area: 1, kw: ['physical development in preschool', 'physical development'] },
+  { name: 'Preschool Language and Literacy', area: 1, kw: ['preschool language and literacy', 'language', 'literacy'] },
+  { name: 'Preschool and the Arts', area: 1, kw: ['arts for preschoolers', 'preschool and the arts', 'the arts for preschool', 'arts for preschool', 'the arts'] },
+  { name: 'Science and Math in Preschool', area: 1, kw: ['science and math for preschool', 'science and math in preschool', 'science and math'] },
+  { name: 'Preschool Technology and Dual Language', area: 1, kw: ['preschool dual language', 'preschool technology and dual', 'dual language', 'technology'] },
+  { name: 'Social Development in Preschool', area: 2, kw: ['preschool social development', 'social development in preschool', 'social development'] },
+  { name: 'Supporting Self-Concept in the Preschool Classroom', area: 2, kw: ['preschool self concept', 'self-concept in the preschool', 'self concept'] },
+  { name: 'Adult Modeling for Preschoolers', area: 2, kw: ['adult modeling for preschool', 'adult modeling'] },
+  { name: 'Preschool Guidance', area: 2, kw: ['preschool guidance', 'guidance'] },
+  { name: 'Preschool Cultural Identity', area: 2, kw: ['cultural identity in preschool', 'cultural identity'] },
+  SHARED.family1, SHARED.family2, SHARED.family3, SHARED.family4, SHARED.family5,
+  SHARED.substitutes, SHARED.community, SHARED.coworker, SHARED.records, SHARED.reporting,
+  SHARED.advocacy, SHARED.ethics, SHARED.profdev, SHARED.goals, SHARED.networking,
+  SHARED.observation, SHARED.assessment, SHARED.planning, SHARED.delays, SHARED.intervention,
+  SHARED.piaget, SHARED.vygotsky, SHARED.erikson, SHARED.montessori, SHARED.bronfen,
+];
+
+const INF = [
+  SHARED.essentials,
+  SHARED.supervision,
+  { name: 'Space Planning in the Infant and Toddler Classroom', area: 0, kw: ['space planning for infants and toddlers', 'space planning in the infant', 'space planning'] },
+  { name: 'Materials in the Infant and Toddler Classroom', area: 0, kw: ['materials for infants and toddlers', 'materials in the infant'] },
+  SHARED.nutrition,
+  { name: 'Physical Development in Infant and Toddler', area: 1, kw: ['infant and toddler physical development', 'physical development in infant', 'physical development'] },
+  { name: 'Infant and Toddler Language and Literacy', area: 1, kw: ['language and literacy for infants', 'infant and toddler language', 'language', 'literacy'] },
+  { name: 'The Arts for Infants and Toddlers', area: 1, kw: ['arts for infants and toddlers', 'the arts for infants', 'the arts'] },
+  { name: 'Science and Math for Infants and Toddlers', area: 1, kw: ['math and science for infants', 'science and math for infants', 'science and math'] },
+  { name: 'Infant and Toddler Dual Language', area: 1, kw: ['dual langauge for infants', 'dual language for infants', 'infant and toddler dual', 'dual language'] },
+  { name: 'Social Development in Infants and Toddlers', area: 2, kw: ['social development for infants and toddlers', 'social development in infants', 'social development'] },
+  { name: 'Supporting Self-Concept in the Infant and Toddler Classroom', area: 2, kw: ['self-concept in infants and toddlers', 'supporting self-concept in infants', 'self concept'] },
+  { name: 'Adult Modeling for Infants and Toddlers', area: 2, kw: ['adult modeling for infants', 'adult modeling'] },
+  { name: 'Infant and Toddler Guidance', area: 2, kw: ['infant and toddler guidance', 'guidance'] },
+  { name: 'Infant and Toddler Cultural Identity', area: 2, kw: ['cultural identity infants and toddlers', 'cultural identity infant', 'cultural identity'] },
+  SHARED.family1, SHARED.family2, SHARED.family3, SHARED.family4, SHARED.family5,
+  SHARED.substitutes, SHARED.community, SHARED.coworker, SHARED.records, SHARED.reporting,
+  SHARED.advocacy, SHARED.ethics, SHARED.profdev, SHARED.goals, SHARED.networking,
+  SHARED.observation, SHARED.assessment, SHARED.planning, SHARED.delays, SHARED.intervention,
+  SHARED.piaget, SHARED.vygotsky, SHARED.erikson, SHARED.montessori, SHARED.bronfen,
+];
+
+const COURSES = { pre: PRE, inf: INF };
+const DEFAULT_HOURS = 3;
+
+module.exports = { AREAS, PROGRAMS, COURSES, DEFAULT_HOURS };
@@ -1,134 +1,247 @@
-// db/index.js — PostgreSQL connection and schema setup
+// db/index.js — PostgreSQL connection, startup checks and queries
 const { Pool } = require('pg');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const catalogSeed = require('./catalog-seed');
+const profileSeed = require('./profile-seed');
+const storage     = require('../storage');
+const migrate     = require('./migrate');
+const identity    = require('../identity');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// The schema comes from db/migrations (npm run migrate). The app refuses to start on a database
+// that is behind or ahead of this code, since queries here would then fail or write the wrong columns.
 async function initDB() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS students (
-      id          SERIAL PRIMARY KEY,
-      name        VARCHAR(255) NOT NULL,
-      email       VARCHAR(255),
-      center      VARCHAR(255),
-      path        VARCHAR(10) NOT NULL,
-      path_label  VARCHAR(100) NOT NULL,
-      course_count INT DEFAULT 0,
-      created_at  TIMESTAMPTZ DEFAULT NOW(),
-      updated_at  TIMESTAMPTZ DEFAULT NOW()
-    );
+  const { pending, unknown } = await migrate.status(pool);
+  if (pending.length) {
+    throw new Error(`Database has ${pending.length} pending migration(s): ${pending.join(', ')}. Run \`npm run migrate up\` first.`);
+  }
+  if (unknown.length) {
+    throw new Error(`Database has migrations this version does not know: ${unknown.join(', ')}. ` +
+      'Deploy the version that added them, or roll them back with it (`npm run migrate down`).');
+  }
 
-    CREATE TABLE IF NOT EXISTS certificates (
-      id           SERIAL PRIMARY KEY,
-      student_id   INT REFERENCES students(id) ON DELETE CASCADE,
-      course_name  VARCHAR(500) NOT NULL,
-      subject_area VARCHAR(500) NOT NULL,
-      cert_date    DATE NOT NULL,
-      status       VARCHAR(50) DEFAULT 'Pass',
-      area_index   INT,
-      created_at   TIMESTAMPTZ DEFAULT NOW()
-    );
+  await seedCatalog();
+  await seedImportProfiles();
 
-    CREATE TABLE IF NOT EXISTS generated_packages (
-      id           SERIAL PRIMARY KEY,
-      student_id   INT REFERENCES students(id) ON DELETE CASCADE,
-      filename     VARCHAR(500),
-      path         VARCHAR(10),
-      generated_at TIMESTAMPTZ DEFAULT NOW(),
-      generated_by VARCHAR(255),
-      pdf_data     BYTEA
-    );
+  console.log('✅ Database tables ready');
+}
 
-    CREATE TABLE IF NOT EXISTS magic_tokens (
-      id         SERIAL PRIMARY KEY,
-      email      VARCHAR(255) NOT NULL,
-      token      VARCHAR(128) NOT NULL UNIQUE,
-      expires_at TIMESTAMPTZ NOT NULL,
-      used       BOOLEAN DEFAULT FALSE,
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `);
+// Load the bundled catalog the first time the tables come up empty.
+// After that the database is the source of truth and admins edit it from the Catalog tab.
+async function seedCatalog() {
+  const existing = await pool.query('SELECT COUNT(*)::int AS n FROM courses');
+  if (existing.rows[0].n > 0) return;
 
-  // Add pdf_data column to existing generated_packages if missing
-  await pool.query(`
-    ALTER TABLE generated_packages ADD COLUMN IF NOT EXISTS pdf_data BYTEA;
-  `);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [i, a] of catalogSeed.AREAS.entries()) {
+      await client.query(`
+        INSERT INTO subject_areas (area_index, label, short_label, color)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (area_index) DO NOTHING
+      `, [i, a.label, a.short, a.color]);
+    }
+    for (const [i, p] of catalogSeed.PROGRAMS.entries()) {
+      await client.query(`
+        INSERT INTO programs (code, label, short_label, sort_order)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (code) DO NOTHING
+      `, [p.code, p.label, p.short, i]);
+      for (const [j, c] of catalogSeed.COURSES[p.code].entries()) {
+        await client.query(`
+          INSERT INTO courses (program, name, area_index, hours, keywords, sort_order)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (program, name) DO NOTHING
+        `, [p.code, c.name, c.area, catalogSeed.DEFAULT_HOURS, c.kw, j]);
+      }
+    }
+    await client.query('COMMIT');
+    console.log('✅ Course catalog seeded');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
 
-  // Add email column to students if missing
-  await pool.query(`
-    ALTER TABLE students ADD COLUMN IF NOT EXISTS email VARCHAR(255);
-  `);
+// ── COURSE CATALOG ───────────────────────────────────────────
 
-  // Deduplicate and add unique constraint on (name, path)
-  await pool.query(`
-    DO $$
-    DECLARE
-      dup RECORD;
-      keep_id INT;
-    BEGIN
-      IF NOT EXISTS (
-        SELECT 1 FROM pg_constraint WHERE conname = 'students_name_path_unique'
-      ) THEN
-        FOR dup IN
-          SELECT name, path FROM students GROUP BY name, path HAVING COUNT(*) > 1
-        LOOP
-          SELECT id INTO keep_id FROM students
-          WHERE name = dup.name AND path = dup.path
-          ORDER BY updated_at DESC, id DESC LIMIT 1;
-
-          UPDATE certificates SET student_id = keep_id
-          WHERE student_id IN (
-            SELECT id FROM students WHERE name = dup.name AND path = dup.path AND id <> keep_id
-          );
-          UPDATE generated_packages SET student_id = keep_id
-          WHERE student_id IN (
-            SELECT id FROM students WHERE name = dup.name AND path = dup.path AND id <> keep_id
-          );
-          DELETE FROM students WHERE name = dup.name AND path = dup.path AND id <> keep_id;
-        END LOOP;
-        ALTER TABLE students ADD CONSTRAINT students_name_path_unique UNIQUE (name, path);
-      END IF;
-    END$$;
-  `);
+async function getCatalog() {
+  const [areas, programs, courses] = await Promise.all([
+    pool.query('SELECT * FROM subject_areas ORDER BY area_index ASC'),
+    pool.query('SELECT * FROM programs ORDER BY sort_order ASC, code ASC'),
+    pool.query('SELECT * FROM courses ORDER BY program, sort_order ASC, id ASC'),
+  ]);
+  return {
+    areas: areas.rows.map(a => ({
+      index: a.area_index,
+      label: a.label,
+      short: a.short_label,
+      color: a.color,
+    })),
+    programs: programs.rows.map(p => ({
+      code:          p.code,
+      label:         p.label,
+      short:         p.short_label,
+      allowShift:    p.allow_shift,
+      allowEstimate: p.allow_estimate,
+      courses: courses.rows.filter(c => c.program === p.code).map(c => ({
+        id:        c.id,
+        name:      c.name,
+        area:      c.area_index,
+        hours:     c.hours,
+        keywords:  c.keywords,
+        sortOrder: c.sort_order,
+      })),
+    })),
+  };
+}
 
-  console.log('✅ Database tables ready');
+// Keywords are matched against lower-cased LMS titles, so store them that way
+function cleanKeywords(keywords) {
+  if (!Array.isArray(keywords)) return [];
+  return [...new Set(keywords.map(k => String(k).toLowerCase().trim()).filter(Boolean))];
+}
+
+async function getCourse(id) {
+  const res = await pool.query('SELECT * FROM courses WHERE id = $1', [id]);
+  return res.rows[0] || null;
+}
+
+async function createCourse(data) {
+  const res = await pool.query(`
+    INSERT INTO courses (program, name, area_index, hours, keywords, sort_order)
+    VALUES ($1, $2, $3, $4, $5,
+      COALESCE($6, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM courses WHERE program = $1::varchar)))
+    RETURNING *
+  `, [
+    data.program,
+    data.name,
+    data.area,
+    data.hours || catalogSeed.DEFAULT_HOURS,
+    cleanKeywords(data.keywords),
+    data.sortOrder ?? null
+  ]);
+  return res.rows[0];
+}
+
+async function updateCourse(id, data) {
+  const res = await pool.query(`
+    UPDATE courses SET
+      name       = COALESCE($2, name),
+      area_index = COALESCE($3, area_index),
+      hours      = COALESCE($4, hours),
+      keywords   = COALESCE($5, keywords),
+      sort_order = COALESCE($6, sort_order),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [
+    id,
+    data.name ?? null,
+    data.area ?? null,
+    data.hours ?? null,
+    data.keywords ? cleanKeywords(data.keywords) : null,
+    data.sortOrder ?? null
+  ]);
+  return res.rows[0];
+}
+
+async function deleteCourse(id) {
+  const res = await pool.query('DELETE FROM courses WHERE id = $1', [id]);
+  return { deleted: res.rowCount };
+}
+
+// data = { allowShift?, allowEstimate? }
+async function updateProgramPolicy(code, data) {
+  const res = await pool.query(`
+    UPDATE programs SET
+      allow_shift    = COALESCE($2, allow_shift),
+      allow_estimate = COALESCE($3, allow_estimate)
+    WHERE code = $1
+    RETURNING *
+  `, [code, data.allowShift ?? null, data.allowEstimate ?? null]);
+  return res.rows[0];
+}
+
+async function updateSubjectArea(index, data) {
+  const res = await pool.query(`
+    UPDATE subject_areas SET
+      label       = COALESCE($2, label),
+      short_label = COALESCE($3, short_label),
+      color       = COALESCE($4, color)
+    WHERE area_index = $1
+    RETURNING *
+  `, [index, data.label ?? null, data.short ?? null, data.color ?? null]);
+  return res.rows[0];
 }
 
 // ── STUDENT QUERIES ──────────────────────────────────────────
 
 async function getAllStudents() {
   const res = await pool.query(`
-    SELECT s.*,
+    SELECT s.*, ct.name AS center_name,
       COUNT(c.id) as cert_count,
       MAX(gp.generated_at) as last_generated
     FROM students s
     LEFT JOIN certificates c ON c.student_id = s.id
     LEFT JOIN generated_packages gp ON gp.student_id = s.id
-    GROUP BY s.id
+    LEFT JOIN centers ct ON ct.id = s.center_id
+    WHERE s.archived_at IS NULL
+    GROUP BY s.id, ct.name
     ORDER BY s.updated_at DESC
   `);
   return res.rows;
 }
 
-async function searchStudents(query) {
+// The trash — most recently archived first
+async function getArchivedStudents() {
   const res = await pool.query(`
     SELECT s.*, COUNT(c.id) as cert_count
     FROM students s
     LEFT JOIN certificates c ON c.student_id = s.id
-    WHERE LOWER(s.name) LIKE LOWER($1)
+    WHERE s.archived_at IS NOT NULL
     GROUP BY s.id
+    ORDER BY s.archived_at DESC
+  `);
+  return res.rows;
+}
+
+async function searchStudents(query) {
+  const res = await pool.query(`
+    SELECT s.*, ct.name AS center_name, COUNT(c.id) as cert_count
+    FROM students s
+    LEFT JOIN certificates c ON c.student_id = s.id
+    LEFT JOIN centers ct ON ct.id = s.center_id
+    WHERE LOWER(s.name) LIKE LOWER($1) AND s.archived_at IS NULL
+    GROUP BY s.id, ct.name
     ORDER BY s.name ASC
   `, [`%${query}%`]);
   return res.rows;
 }
 
 async function getStudent(id) {
-  const res = await pool.query('SELECT * FROM students WHERE id = $1', [id]);
+  const res = await pool.query(`
+    SELECT s.*, ct.name AS center_name FROM students s
+    LEFT JOIN centers ct ON ct.id = s.center_id
+    WHERE s.id = $1`, [id]);
   return res.rows[0];
 }
 
+async function getStudentsByIds(ids) {
+  const clean = (ids || []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  if (!clean.length) return [];
+  const res = await pool.query('SELECT * FROM students WHERE id = ANY($1::int[]) AND archived_at IS NULL', [clean]);
+  return res.rows;
+}
+
 async function getStudentCertificates(studentId) {
   const res = await pool.query(`
     SELECT * FROM certificates
@@ -140,80 +253,340 @@ async function getStudentCertificates(studentId) {
 
 async function getStudentHistory(studentId) {
   const res = await pool.query(`
-    SELECT id, student_id, filename, path, generated_at, generated_by
-    FROM generated_packages
-    WHERE student_id = $1
-    ORDER BY generated_at DESC
+    SELECT gp.id, gp.student_id, gp.filename, gp.path, gp.generated_at, gp.generated_by, gp.snapshot_id,
+      (gp.pdf_hash IS NOT NULL OR gp.pdf_data IS NOT NULL) as has_pdf,
+      gp.import_id, im.filename AS import_filename,
+      vc.code AS verify_code, vc.revoked_at, vc.revoked_reason,
+      d.status AS delivery_status, d.error AS delivery_error, d.email AS delivery_email,
+      COALESCE(d.sent_at, d.created_at) AS delivery_at
+    FROM generated_packages gp
+    LEFT JOIN verification_codes vc ON vc.package_id = gp.id AND vc.kind = 'package'
+    LEFT JOIN imports im ON im.id = gp.import_id
+    LEFT JOIN LATERAL (
+      SELECT * FROM package_deliveries WHERE package_id = gp.id ORDER BY id DESC LIMIT 1
+    ) d ON TRUE
+    WHERE gp.student_id = $1
+    ORDER BY gp.generated_at DESC
   `, [studentId]);
   return res.rows;
 }
 
+// ── STUDENT EDITS ─────────────────────────────────────────────
+// Hand corrections from the student window; the server checks the values first
+
+const PROFILE_COLUMNS = ['name', 'email', 'lms_id', 'identity_key', 'center_id', 'path', 'path_label'];
+
+// fields: any of PROFILE_COLUMNS → the updated record
+async function updateStudent(id, fields) {
+  const cols = PROFILE_COLUMNS.filter(c => c in fields);
+  const res = await pool.query(`
+    UPDATE students SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *`,
+    [id, ...cols.map(c => fields[c])]
+  );
+  return res.rows[0];
+}
+
+// Keeps students.course_count in step after a certificate is added or removed
+async function touchStudent(db, studentId) {
+  await db.query(`
+    UPDATE students SET course_count = (SELECT COUNT(*) FROM certificates WHERE student_id = $1), updated_at = NOW()
+    WHERE id = $1`, [studentId]);
+}
+
+// c = { course, area, areaIndex, hours, date, status, sourceDate, adjustment }
+async function addCertificate(studentId, c) {
+  const res = await pool.query(`
+    INSERT INTO certificates (student_id, course_name, subject_area, cert_date, status, area_index, hours,
+                              source_date, date_adjustment)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *`,
+    [studentId, c.course, c.area, c.date, c.status, c.areaIndex, c.hours, c.sourceDate || null, c.adjustment || null]
+  );
+  await touchStudent(pool, studentId);
+  return res.rows[0];
+}
+
+async function updateCertificate(studentId, certId, c) {
+  const res = await pool.query(`
+    UPDATE certificates SET course_name = $3, subject_area = $4, cert_date = $5, status = $6, area_index = $7,
+      hours = $8, source_date = $9, date_adjustment = $10
+    WHERE id = $2 AND student_id = $1
+    RETURNING *`,
+    [studentId, certId, c.course, c.area, c.date, c.status, c.areaIndex, c.hours, c.sourceDate || null, c.adjustment || null]
+  );
+  await touchStudent(pool, studentId);
+  return res.rows[0];
+}
+
+async function deleteCertificate(studentId, certId) {
+  const res = await pool.query('DELETE FROM certificates WHERE id = $2 AND student_id = $1 RETURNING *', [studentId, certId]);
+  await touchStudent(pool, studentId);
+  return res.rows[0];
+}
+
+// ── CERTIFICATE SNAPSHOTS ─────────────────────────────────────
+// The certificates a package was generated from, as they were at the time (see migration 013).
+// Snapshots are stored once per distinct content and the database refuses to change or delete them.
+
+// A record's certificates as they are now, as a snapshot holds them → { json, hash }
+async function certificateSet(db, studentId) {
+  const res = await db.query(`
+    SELECT course_name, subject_area, area_index, hours, cert_date::text, status, source_date::text, date_adjustment
+    FROM certificates WHERE student_id = $1 ORDER BY course_name, id`, [studentId]);
+  const json = JSON.stringify(res.rows.map(r => ({
+    course: r.course_name, area: r.subject_area, areaIndex: r.area_index, hours: r.hours,
+    date: r.cert_date, status: r.status, sourceDate: r.source_date, adjustment: r.date_adjustment,
+  })));
+  return { json, hash: storage.hashOf(json) };
+}
+
+// Snapshot id for a record's certificates as they are now, added when this set is new
+async function snapshotCertificates(db, studentId) {
+  const { json, hash } = await certificateSet(db, studentId);
+  const added = await db.query(`
+    INSERT INTO certificate_snapshots (content_hash, certificates) VALUES ($1, $2)
+    ON CONFLICT (content_hash) DO NOTHING
+    RETURNING id`, [hash, json]);
+  if (added.rows.length) return added.rows[0].id;
+  return (await db.query('SELECT id FROM certificate_snapshots WHERE content_hash = $1', [hash])).rows[0].id;
+}
+
+// Whether a record was edited after its latest package: its certificates differ from that package's
+// snapshot, or its name or program from the ones printed on it. False without a package, or when the latest one
+// is older than snapshots.
+async function isPackageOutdated(studentId) {
+  const res = await pool.query(`
+    SELECT gp.student_name, gp.path AS printed_path, cs.content_hash, s.name, s.path
+    FROM generated_packages gp
+    JOIN students s ON s.id = gp.student_id
+    LEFT JOIN certificate_snapshots cs ON cs.id = gp.snapshot_id
+    WHERE gp.student_id = $1
+    ORDER BY gp.generated_at DESC, gp.id DESC LIMIT 1`, [studentId]);
+  const latest = res.rows[0];
+  if (!latest || !latest.content_hash) return false;
+  if (latest.student_name && latest.student_name !== latest.name) return true;
+  if (latest.printed_path !== latest.path) return true;
+  return (await certificateSet(pool, studentId)).hash !== latest.content_hash;
+}
+
+// A package with its snapshot: { id, student_id, filename, generated_at, generated_by, certificates }
+// certificates is null for packages generated before snapshots were kept
+async function getPackageSnapshot(packageId) {
+  const res = await pool.query(`
+    SELECT gp.id, gp.student_id, gp.filename, gp.generated_at, gp.generated_by, cs.certificates
+    FROM generated_packages gp
+    LEFT JOIN certificate_snapshots cs ON cs.id = gp.snapshot_id
+    WHERE gp.id = $1`, [packageId]);
+  return res.rows[0];
+}
+
+// ── PDF STORAGE ───────────────────────────────────────────────
+
+// Writes a PDF to the storage backend unless a file with the same content is already stored,
+// and returns its hash for generated_packages.pdf_hash
+async function storePDF(buffer) {
+  const hash  = storage.hashOf(buffer);
+  const known = await pool.query('SELECT 1 FROM pdf_blobs WHERE hash = $1', [hash]);
+  if (!known.rows.length) {
+    const backend = storage.backend();
+    await backend.put(hash, buffer);
+    await pool.query(
+      'INSERT INTO pdf_blobs (hash, backend, size) VALUES ($1, $2, $3) ON CONFLICT (hash) DO NOTHING',
+      [hash, backend.name, buffer.length]
+    );
+  }
+  return hash;
+}
+
+/**
+ * A package's stored PDF as { filename, size, stream }, read from whichever backend holds it
+ * (or from pdf_data for packages not moved out of the database yet). Undefined when the
+ * package is unknown or has no PDF.
+ */
 async function getPackagePDF(packageId) {
-  const res = await pool.query(
-    'SELECT pdf_data, filename FROM generated_packages WHERE id = $1',
+  const res = await pool.query(`
+    SELECT gp.filename, gp.pdf_data, b.hash, b.backend, b.size
+    FROM generated_packages gp
+    LEFT JOIN pdf_blobs b ON b.hash = gp.pdf_hash
+    WHERE gp.id = $1`,
     [packageId]
   );
+  const row = res.rows[0];
+  if (!row || (!row.hash && !row.pdf_data)) return undefined;
+  if (!row.hash) return { filename: row.filename, size: row.pdf_data.length, stream: Readable.from([row.pdf_data]) };
+  return { filename: row.filename, size: row.size, stream: await storage.backend(row.backend).get(row.hash) };
+}
+
+// Packages whose PDF is still in pdf_data, oldest first
+async function getPackagesWithInlinePDF() {
+  const res = await pool.query('SELECT id FROM generated_packages WHERE pdf_data IS NOT NULL ORDER BY id');
+  return res.rows.map(r => r.id);
+}
+
+// Moves one package's pdf_data to the storage backend. Returns the bytes moved (0 if there was nothing to move).
+async function movePackagePDF(packageId) {
+  const res = await pool.query('SELECT pdf_data FROM generated_packages WHERE id = $1 AND pdf_data IS NOT NULL', [packageId]);
+  if (!res.rows.length) return 0;
+  const hash = await storePDF(res.rows[0].pdf_data);
+  await pool.query('UPDATE generated_packages SET pdf_hash = $2, pdf_data = NULL WHERE id = $1', [packageId, hash]);
+  return res.rows[0].pdf_data.length;
+}
+
+// Deletes stored files no package points at any more (e.g. after a purge). Files younger than an hour
+// are kept, as their package may still be being saved.
+async function pruneUnusedPDFs() {
+  const res = await pool.query(`
+    SELECT hash, backend FROM pdf_blobs b
+    WHERE created_at < NOW() - INTERVAL '1 hour'
+      AND NOT EXISTS (SELECT 1 FROM generated_packages gp WHERE gp.pdf_hash = b.hash)`);
+  let removed = 0;
+  for (const b of res.rows) {
+    // The row goes first, so a package saved meanwhile with the same PDF writes the file again
+    const del = await pool.query(
+      'DELETE FROM pdf_blobs WHERE hash = $1 AND NOT EXISTS (SELECT 1 FROM generated_packages WHERE pdf_hash = $1)', [b.hash]);
+    if (!del.rowCount) continue;
+    await storage.backend(b.backend).remove(b.hash);
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * The learner's record in program data.path (see identity.js), or undefined. In order:
+ *   1. the record keyed on their LMS learner ID, else on their email
+ *   2. from an export without LMS IDs: a record with an LMS ID and the same email
+ *   3. a record with no identity of its own (older records, or exports with neither) and the same
+ *      name — unless it has a different email
+ * data = { name, email?, lmsId?, path }; lock = true inside a transaction that updates the record
+ */
+async function findStudent(db, data, lock = false) {
+  const forUpdate = lock ? 'FOR UPDATE' : '';
+  const email = (data.email || '').toLowerCase().trim() || null;
+  const keys  = [identity.identityKey(data), identity.identityKey({ email })].filter(Boolean);
+  if (keys.length) {
+    const res = await db.query(`
+      SELECT * FROM students WHERE path = $1 AND identity_key = ANY($2)
+      ORDER BY identity_key = $3 DESC LIMIT 1 ${forUpdate}`,
+      [data.path, keys, keys[0]]);
+    if (res.rows[0]) return res.rows[0];
+  }
+  if (email && !data.lmsId) {
+    const res = await db.query(`
+      SELECT * FROM students WHERE path = $1 AND lms_id IS NOT NULL AND LOWER(TRIM(email)) = $2
+      ORDER BY archived_at IS NULL DESC, updated_at DESC LIMIT 1 ${forUpdate}`,
+      [data.path, email]);
+    if (res.rows[0]) return res.rows[0];
+  }
+  const res = await db.query(`
+    SELECT * FROM students
+    WHERE path = $1 AND identity_key IS NULL AND LOWER(name) = LOWER($2)
+      AND ($3::text IS NULL OR email IS NULL OR LOWER(TRIM(email)) = $3)
+    ORDER BY archived_at IS NULL DESC, updated_at DESC LIMIT 1 ${forUpdate}`,
+    [data.path, data.name, email]);
   return res.rows[0];
 }
 
+// Saves a generated package on the learner's record (found by findStudent, or created).
+// A record in the trash is left as it is and { studentId, inTrash: true, previous } returned —
+// it only comes back through restoreStudent. The PDF is rendered from the saved certificates and
+// added with attachPackagePDF.
 async function saveStudentPackage(data) {
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Upsert student using the unique constraint on (name, path)
-    const stuRes = await client.query(`
-      INSERT INTO students (name, email, center, path, path_label, course_count, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, NOW())
-      ON CONFLICT ON CONSTRAINT students_name_path_unique
-      DO UPDATE SET
-        updated_at   = NOW(),
-        course_count = EXCLUDED.course_count,
-        email        = COALESCE(EXCLUDED.email, students.email),
-        center       = COALESCE(EXCLUDED.center, students.center)
-      RETURNING id
-    `, [
-      data.name,
-      data.email   || null,
-      data.center  || null,
-      data.path,
-      data.pathLabel,
-      data.courses.length
-    ]);
+    // The record as it was before this save, also for the audit log
+    const previous = await findStudent(client, data, true);
+    if (previous && previous.archived_at) {
+      await client.query('ROLLBACK');
+      return { studentId: previous.id, inTrash: true, previous };
+    }
+    const email = (data.email || '').trim() || null;
+    const lmsId = String(data.lmsId || '').trim() || null;
+
+    // The name and email follow the latest export; an LMS ID, once known, stays
+    let stuRes;
+    if (previous) {
+      const lms = previous.lms_id || lmsId;
+      stuRes = await client.query(`
+        UPDATE students SET
+          updated_at   = NOW(),
+          name         = $2,
+          email        = COALESCE($3, email),
+          lms_id       = $4,
+          identity_key = COALESCE($5, identity_key),
+          course_count = $6,
+          center_id    = COALESCE(center_id, $7, (SELECT center_id FROM learners WHERE learner_key = $8))
+        WHERE id = $1
+        RETURNING id`,
+        [previous.id, data.name, email, lms,
+         identity.identityKey({ lmsId: lms, email: email || previous.email }),
+         data.courses.length, data.centerId || null, identity.learnerKey(data)]);
+    } else {
+      stuRes = await client.query(`
+        INSERT INTO students (name, email, lms_id, identity_key, center_id, path, path_label, course_count, updated_at)
+        VALUES ($1, $2, $3, $4, COALESCE($5, (SELECT center_id FROM learners WHERE learner_key = $9)), $6, $7, $8, NOW())
+        RETURNING id`,
+        [data.name, email, lmsId, identity.identityKey({ lmsId, email }), data.centerId || null,
+         data.path, data.pathLabel, data.courses.length, identity.learnerKey(data)]);
+    }
 
     const studentId = stuRes.rows[0].id;
 
-    // Only replace certificates if course count or content has changed
+    // Bring the certificates in line with this export, course by course, if anything changed.
+    // What they were before stays in the snapshot of the package that printed them.
     const existingRes = await client.query(
-      `SELECT course_name, cert_date, status FROM certificates WHERE student_id = $1 ORDER BY course_name`,
+      `SELECT id, course_name, cert_date::text, status, source_date::text, date_adjustment
+       FROM certificates WHERE student_id = $1 ORDER BY course_name`,
       [studentId]
     );
-    const existingKey = existingRes.rows.map(r => r.course_name + r.cert_date + r.status).sort().join('|');
-    const incomingKey = data.courses.map(c => c.course + c.date + c.status).sort().join('|');
+    const existingKey = existingRes.rows
+      .map(r => [r.course_name, r.cert_date, r.status, r.source_date, r.date_adjustment].map(v => v || '').join('~')).sort().join('|');
+    const incomingKey = data.courses
+      .map(c => [c.course, c.date, c.status, c.sourceDate, c.adjustment].map(v => v || '').join('~')).sort().join('|');
 
     if (existingKey !== incomingKey) {
-      await client.query('DELETE FROM certificates WHERE student_id = $1', [studentId]);
+      const stored   = new Map(existingRes.rows.map(r => [r.course_name, r]));
+      const incoming = new Set(data.courses.map(c => c.course));
+      const dropped  = existingRes.rows.filter(r => !incoming.has(r.course_name)).map(r => r.id);
+      if (dropped.length) await client.query('DELETE FROM certificates WHERE id = ANY($1::int[])', [dropped]);
       for (const course of data.courses) {
-        await client.query(`
-          INSERT INTO certificates (student_id, course_name, subject_area, cert_date, status, area_index)
-          VALUES ($1, $2, $3, $4, $5, $6)
-        `, [studentId, course.course, course.area, course.date, course.status, course.areaIndex]);
+        const values = [course.course, course.area, course.date, course.status, course.areaIndex, course.hours || 3,
+                        course.sourceDate || null, course.adjustment || null];
+        const row = stored.get(course.course);
+        stored.delete(course.course);
+        if (row) {
+          await client.query(`
+            UPDATE certificates SET course_name = $2, subject_area = $3, cert_date = $4, status = $5, area_index = $6,
+              hours = $7, source_date = $8, date_adjustment = $9
+            WHERE id = $1
+          `, [row.id, ...values]);
+        } else {
+          await client.query(`
+            INSERT INTO certificates (student_id, course_name, subject_area, cert_date, status, area_index, hours,
+                                      source_date, date_adjustment)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          `, [studentId, ...values]);
+        }
       }
     }
 
-    // Store PDF bytes if provided
-    const pdfBuffer = data.pdfBase64
-      ? Buffer.from(data.pdfBase64, 'base64')
-      : null;
-
     const pkgRes = await client.query(`
-      INSERT INTO generated_packages (student_id, filename, path, generated_by, pdf_data)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO generated_packages (student_id, filename, path, generated_by, import_id, snapshot_id, student_name)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING id
-    `, [studentId, data.filename, data.path, data.generatedBy || 'Admin', pdfBuffer]);
+    `, [studentId, data.filename, data.path, data.generatedBy || 'Admin', data.importId || null,
+        await snapshotCertificates(client, studentId), data.name]);
 
     await client.query('COMMIT');
-    return { studentId, packageId: pkgRes.rows[0].id };
+    return {
+      studentId,
+      packageId: pkgRes.rows[0].id,
+      previous: previous || null,
+      certificatesReplaced: existingKey !== incomingKey,
+    };
   } catch (e) {
     await client.query('ROLLBACK');
     throw e;
@@ -222,71 +595,578 @@ async function saveStudentPackage(data) {
   }
 }
 
-async function deleteStudent(id) {
-  await pool.query('DELETE FROM students WHERE id = $1', [id]);
+// Attach server-rendered PDF bytes to a package row created by saveStudentPackage
+async function attachPackagePDF(packageId, pdfBuffer, filename) {
+  const hash = await storePDF(pdfBuffer);
+  await pool.query(
+    'UPDATE generated_packages SET pdf_hash = $2, pdf_data = NULL, filename = COALESCE($3, filename) WHERE id = $1',
+    [packageId, hash, filename || null]
+  );
+}
+
+// Store a re-render of a student's package as a new generation
+// (pdfBuffer may be left out and attached once the package's verification codes are printed)
+async function saveRenderedPackage(studentId, data) {
+  const res = await pool.query(`
+    INSERT INTO generated_packages (student_id, filename, path, generated_by, pdf_hash, snapshot_id, student_name)
+    VALUES ($1, $2, $3, $4, $5, $6, (SELECT name FROM students WHERE id = $1))
+    RETURNING id
+  `, [studentId, data.filename, data.path, data.generatedBy || 'Admin', data.pdfBuffer ? await storePDF(data.pdfBuffer) : null,
+      await snapshotCertificates(pool, studentId)]);
+  await pool.query('UPDATE students SET updated_at = NOW() WHERE id = $1', [studentId]);
+  return { studentId, packageId: res.rows[0].id };
+}
+
+// Moves a student to the trash. Certificates and stored PDFs are kept until the purge.
+async function deleteStudent(id, archivedBy) {
+  const res = await pool.query(
+    'UPDATE students SET archived_at = NOW(), archived_by = $2 WHERE id = $1 AND archived_at IS NULL',
+    [id, archivedBy || null]
+  );
+  return { deleted: res.rowCount };
 }
 
 // ── BULK DELETE ───────────────────────────────────────────────
-// Deletes all students whose id is in the provided array.
-// Cascades to certificates and generated_packages automatically.
-async function deleteManyStudents(ids) {
+// Moves all students whose id is in the provided array to the trash.
+async function deleteManyStudents(ids, archivedBy) {
   if (!ids || !ids.length) return { deleted: 0 };
   // Sanitise: ensure all values are integers
   const clean = ids.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
   if (!clean.length) return { deleted: 0 };
-  const placeholders = clean.map((_, i) => `$${i + 1}`).join(', ');
+  const placeholders = clean.map((_, i) => `$${i + 2}`).join(', ');
   const res = await pool.query(
-    `DELETE FROM students WHERE id IN (${placeholders})`,
-    clean
+    `UPDATE students SET archived_at = NOW(), archived_by = $1
+     WHERE id IN (${placeholders}) AND archived_at IS NULL`,
+    [archivedBy || null, ...clean]
   );
   return { deleted: res.rowCount };
 }
 
+async function restoreStudent(id) {
+  const res = await pool.query(
+    'UPDATE students SET archived_at = NULL, archived_by = NULL WHERE id = $1 AND archived_at IS NOT NULL RETURNING *',
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+// Permanently removes an archived student. Cascades to certificates and generated_packages.
+async function purgeStudent(id) {
+  const res = await pool.query(
+    'DELETE FROM students WHERE id = $1 AND archived_at IS NOT NULL RETURNING *',
+    [id]
+  );
+  return res.rows[0] || null;
+}
+
+// Permanently removes everything that has been in the trash longer than retentionDays
+async function purgeArchivedStudents(retentionDays) {
+  const res = await pool.query(
+    `DELETE FROM students WHERE archived_at < NOW() - make_interval(days => $1) RETURNING *`,
+    [retentionDays]
+  );
+  return res.rows;
+}
+
+// ── DUPLICATE STUDENTS ───────────────────────────────────────
+// Records that are one person are merged; a record holding two people is split (see identity.js)
+
+// Active records with what the duplicate finder shows, and the pairs already marked as different people
+async function getDuplicateCandidates() {
+  const students = await pool.query(`
+    SELECT s.id, s.name, s.email, s.lms_id, s.path, s.path_label, s.updated_at, ct.name AS center_name,
+      (SELECT COUNT(*)::int FROM certificates c WHERE c.student_id = s.id) AS cert_count,
+      (SELECT COUNT(*)::int FROM generated_packages gp WHERE gp.student_id = s.id) AS package_count
+    FROM students s
+    LEFT JOIN centers ct ON ct.id = s.center_id
+    WHERE s.archived_at IS NULL`);
+  const dismissed = await pool.query('SELECT student_a, student_b FROM student_not_duplicates');
+  return { students: students.rows, dismissed: dismissed.rows };
+}
+
+async function markNotDuplicates(idA, idB, createdBy) {
+  await pool.query(`
+    INSERT INTO student_not_duplicates (student_a, student_b, created_by)
+    VALUES (LEAST($1::int, $2::int), GREATEST($1::int, $2::int), $3)
+    ON CONFLICT DO NOTHING`,
+    [idA, idB, createdBy || null]
+  );
+}
+
+/**
+ * Folds record mergeId into keepId (same program) and deletes mergeId. Packages and their
+ * verification codes move over, and so do certificates. For a course both records have, the
+ * passed certificate is kept over one that is not, then the later date; a tie keeps keepId's.
+ * The kept record takes the other's email, LMS learner ID and center where it has none.
+ * → { certificatesMoved, certificatesDropped, packagesMoved, dropped: [certificate rows deleted] }
+ */
+async function mergeStudents(keepId, mergeId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const rows  = (await client.query('SELECT * FROM students WHERE id = ANY($1::int[]) FOR UPDATE', [[keepId, mergeId]])).rows;
+    const keep  = rows.find(r => r.id === Number(keepId));
+    const other = rows.find(r => r.id === Number(mergeId));
+
+    const both = (await client.query(
+      'SELECT * FROM certificates WHERE student_id = ANY($1::int[]) ORDER BY id', [[keep.id, other.id]])).rows;
+    const kept = new Map(both.filter(c => c.student_id === keep.id).map(c => [c.course_name, c]));
+    const rank = c => [c.status === 'Pass' ? 1 : 0, new Date(c.cert_date).getTime()];
+    const wins = (a, b) => rank(a)[0] - rank(b)[0] || rank(a)[1] - rank(b)[1];
+    const losers = both.filter(c => c.student_id === other.id && kept.has(c.course_name))
+      .map(c => (wins(c, kept.get(c.course_name)) > 0 ? kept.get(c.course_name) : c));
+    const dropped  = await client.query('DELETE FROM certificates WHERE id = ANY($1::int[]) RETURNING *', [losers.map(c => c.id)]);
+    const certs    = await client.query('UPDATE certificates SET student_id = $1 WHERE student_id = $2', [keep.id, other.id]);
+    const packages = await client.query('UPDATE generated_packages SET student_id = $1 WHERE student_id = $2', [keep.id, other.id]);
+    await client.query('UPDATE verification_codes SET student_id = $1 WHERE student_id = $2', [keep.id, other.id]);
+    // Deleted first, so its identity is free for the kept record to take
+    await client.query('DELETE FROM students WHERE id = $1', [other.id]);
+
+    const lmsId = keep.lms_id || other.lms_id;
+    const email = keep.email || other.email;
+    await client.query(`
+      UPDATE students SET
+        lms_id       = $2,
+        email        = $3,
+        identity_key = COALESCE($4, identity_key, $5),
+        center_id    = COALESCE(center_id, $6),
+        course_count = (SELECT COUNT(*) FROM certificates WHERE student_id = $1),
+        updated_at   = NOW()
+      WHERE id = $1`,
+      [keep.id, lmsId, email, identity.identityKey({ lmsId, email }), other.identity_key, other.center_id]);
+    await client.query('COMMIT');
+    return { certificatesMoved: certs.rowCount, certificatesDropped: dropped.rowCount, packagesMoved: packages.rowCount, dropped: dropped.rows };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Moves some of a record's certificates and packages (with their verification codes) to a new
+ * record in the same program, for a second person who was saved on it.
+ * data = { name, email?, lmsId?, certificateIds: [], packageIds: [] }
+ * → { studentId, certificatesMoved, packagesMoved }
+ */
+async function splitStudent(id, data) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const source = (await client.query('SELECT * FROM students WHERE id = $1 FOR UPDATE', [id])).rows[0];
+    const email  = (data.email || '').trim() || null;
+    const lmsId  = String(data.lmsId || '').trim() || null;
+    const created = await client.query(`
+      INSERT INTO students (name, email, lms_id, identity_key, center_id, path, path_label, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING id`,
+      [data.name, email, lmsId, identity.identityKey({ lmsId, email }), source.center_id, source.path, source.path_label]);
+    const studentId = created.rows[0].id;
+
+    const certs = await client.query(
+      'UPDATE certificates SET student_id = $1 WHERE student_id = $2 AND id = ANY($3::int[])',
+      [studentId, source.id, data.certificateIds || []]);
+    const packages = await client.query(
+      'UPDATE generated_packages SET student_id = $1 WHERE student_id = $2 AND id = ANY($3::int[]) RETURNING id',
+      [studentId, source.id, data.packageIds || []]);
+    await client.query(
+      'UPDATE verification_codes SET student_id = $1 WHERE student_id = $2 AND package_id = ANY($3::int[])',
+      [studentId, source.id, packages.rows.map(r => r.id)]);
+    await client.query(`
+      UPDATE students SET course_count = (SELECT COUNT(*) FROM certificates WHERE student_id = students.id), updated_at = NOW()
+      WHERE id = ANY($1::int[])`,
+      [[source.id, studentId]]);
+    await client.query('COMMIT');
+    return { studentId, certificatesMoved: certs.rowCount, packagesMoved: packages.rowCount };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
 async function getStats() {
   const res = await pool.query(`
     SELECT
       COUNT(DISTINCT s.id) as total_students,
       COUNT(DISTINCT CASE WHEN s.path='pre' THEN s.id END) as preschool,
       COUNT(DISTINCT CASE WHEN s.path='inf' THEN s.id END) as infant,
-      COUNT(c.id) as total_certs,
+      COUNT(DISTINCT c.id) as total_certs,
       COUNT(DISTINCT gp.id) as total_packages
     FROM students s
     LEFT JOIN certificates c ON c.student_id = s.id
     LEFT JOIN generated_packages gp ON gp.student_id = s.id
+    WHERE s.archived_at IS NULL
   `);
   return res.rows[0];
 }
 
+// ── REPORTS ──────────────────────────────────────────────────
+// filters = { from?, to? (YYYY-MM-DD, inclusive), center? }. dateExpr is the date each
+// report is counted by; students in the trash are left out of every report.
+
+function reportWhere(filters, dateExpr) {
+  const where = ['s.archived_at IS NULL'], params = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace(/\?/g, '$' + params.length)); };
+  if (filters.from)   add(`${dateExpr} >= ?::date`, filters.from);
+  if (filters.to)     add(`${dateExpr} < ?::date + INTERVAL '1 day'`, filters.to);
+  if (filters.center) add('s.center_id = ?', filters.center);
+  return { where: 'WHERE ' + where.join(' AND '), params };
+}
+
+// Course completions (passed certificates) per month, by LMS completion date (the printed date when there is none)
+async function reportCompletionsByMonth(filters = {}) {
+  const { where, params } = reportWhere(filters, 'COALESCE(c.source_date, c.cert_date)');
+  const res = await pool.query(`
+    SELECT to_char(COALESCE(c.source_date, c.cert_date), 'YYYY-MM') AS month,
+      COUNT(*)::int AS completions,
+      COUNT(DISTINCT s.id)::int AS learners
+    FROM certificates c
+    JOIN students s ON s.id = c.student_id
+    ${where} AND c.status = 'Pass'
+    GROUP BY 1 ORDER BY 1`,
+    params
+  );
+  return res.rows;
+}
+
+// The same completions split by program → [{ month, <program code>: completions }], with every program in each row
+async function reportProgramSplit(filters = {}) {
+  const { where, params } = reportWhere(filters, 'COALESCE(c.source_date, c.cert_date)');
+  const [res, programs] = await Promise.all([
+    pool.query(`
+      SELECT to_char(COALESCE(c.source_date, c.cert_date), 'YYYY-MM') AS month, p.code AS program,
+        COUNT(*)::int AS completions
+      FROM certificates c
+      JOIN students s ON s.id = c.student_id
+      JOIN programs p ON p.code = s.path
+      ${where} AND c.status = 'Pass'
+      GROUP BY 1, 2 ORDER BY 1`,
+      params
+    ),
+    pool.query('SELECT code FROM programs'),
+  ]);
+  const months = new Map();
+  res.rows.forEach(r => {
+    if (!months.has(r.month)) months.set(r.month, { month: r.month, ...Object.fromEntries(programs.rows.map(p => [p.code, 0])) });
+    months.get(r.month)[r.program] = r.completions;
+  });
+  return [...months.values()];
+}
+
+// Packages generated per center, by generation date
+async function reportPackagesByCenter(filters = {}) {
+  const { where, params } = reportWhere(filters, 'gp.generated_at');
+  const res = await pool.query(`
+    SELECT COALESCE(ct.name, '(no center)') AS center,
+      COUNT(*)::int AS packages,
+      COUNT(DISTINCT s.id)::int AS learners
+    FROM generated_packages gp
+    JOIN students s ON s.id = gp.student_id
+    LEFT JOIN centers ct ON ct.id = s.center_id
+    ${where}
+    GROUP BY 1 ORDER BY packages DESC, center`,
+    params
+  );
+  return res.rows;
+}
+
+// Days from a learner's first to last completion, for learners who passed every course of their
+// program, counted in the month they finished
+async function reportTimeToFinish(filters = {}) {
+  const { where, params } = reportWhere(filters, 'f.finished');
+  const res = await pool.query(`
+    WITH f AS (
+      SELECT c.student_id,
+        MIN(COALESCE(c.source_date, c.cert_date)) AS started,
+        MAX(COALESCE(c.source_date, c.cert_date)) AS finished,
+        COUNT(DISTINCT c.course_name) AS courses
+      FROM certificates c
+      WHERE c.status = 'Pass'
+      GROUP BY c.student_id
+    )
+    SELECT p.label AS program,
+      COUNT(*)::int AS learners,
+      ROUND(AVG(f.finished - f.started))::int AS avg_days,
+      MIN(f.finished - f.started)::int AS min_days,
+      MAX(f.finished - f.started)::int AS max_days
+    FROM f
+    JOIN students s ON s.id = f.student_id
+    JOIN programs p ON p.code = s.path
+    ${where}
+      AND f.courses >= (SELECT COUNT(*) FROM courses WHERE program = s.path)
+    GROUP BY p.code, p.label, p.sort_order ORDER BY p.sort_order`,
+    params
+  );
+  return res.rows;
+}
+
+// ── CENTERS ──────────────────────────────────────────────────
+
+// Every center with how many students and imported learners belong to it
+async function getCenters() {
+  const res = await pool.query(`
+    SELECT ct.*,
+      (SELECT COUNT(*) FROM students s WHERE s.center_id = ct.id AND s.archived_at IS NULL)::int AS student_count,
+      (SELECT COUNT(*) FROM learners l WHERE l.center_id = ct.id)::int AS learner_count
+    FROM centers ct
+    ORDER BY ct.name`);
+  return res.rows;
+}
+
+async function getCenter(id) {
+  const res = await pool.query('SELECT * FROM centers WHERE id = $1', [id]);
+  return res.rows[0];
+}
+
+// Centers a director email looks after
+async function getCentersByDirector(email) {
+  const res = await pool.query(
+    'SELECT * FROM centers WHERE LOWER(director_email) = LOWER($1) ORDER BY name', [email]);
+  return res.rows;
+}
+
+// Group names seen in imports, for suggesting a center's LMS groups
+async function getLearnerGroups() {
+  const res = await pool.query('SELECT DISTINCT unnest(groups) AS name FROM learners ORDER BY 1');
+  return res.rows.map(r => r.name);
+}
+
+// Learners (and their students) without a center join the center their LMS groups point to
+async function assignCentersFromGroups() {
+  const { rows: centers } = await pool.query('SELECT id, lms_groups FROM centers');
+  const { rows: learners } = await pool.query('SELECT id, groups FROM learners WHERE center_id IS NULL');
+  for (const l of learners) {
+    const centerId = centerForGroups(centers, l.groups);
+    if (centerId) await pool.query('UPDATE learners SET center_id = $1 WHERE id = $2', [centerId, l.id]);
+  }
+  await pool.query(`
+    UPDATE students s SET center_id = l.center_id
+    FROM learners l
+    WHERE s.center_id IS NULL AND l.center_id IS NOT NULL
+      AND l.learner_key = COALESCE(s.identity_key, 'name:' || LOWER(TRIM(s.name)))`);
+}
+
+// data = { name, directorName, directorEmail, phone, address, lmsGroups: [] }
+async function createCenter(data) {
+  const res = await pool.query(`
+    INSERT INTO centers (name, director_name, director_email, phone, address, lms_groups)
+    VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [data.name, data.directorName || null, data.directorEmail || null, data.phone || null, data.address || null, data.lmsGroups || []]
+  );
+  await assignCentersFromGroups();
+  return res.rows[0];
+}
+
+async function updateCenter(id, data) {
+  const res = await pool.query(`
+    UPDATE centers SET name = $2, director_name = $3, director_email = $4, phone = $5, address = $6,
+      lms_groups = $7, updated_at = NOW()
+    WHERE id = $1 RETURNING *`,
+    [id, data.name, data.directorName || null, data.directorEmail || null, data.phone || null, data.address || null, data.lmsGroups || []]
+  );
+  if (res.rows[0]) await assignCentersFromGroups();
+  return res.rows[0];
+}
+
+// Students and learners of a deleted center are left without one
+async function deleteCenter(id) {
+  const res = await pool.query('DELETE FROM centers WHERE id = $1 RETURNING *', [id]);
+  return res.rows[0];
+}
+
+// Moves students (and the imported learner records with the same identity, see identity.learnerKey) to a center;
+// centerId null takes them out of their center. Returns the students as they were.
+async function assignStudentsToCenter(studentIds, centerId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const before = await client.query(
+      'SELECT id, name, email, center_id FROM students WHERE id = ANY($1::int[])', [studentIds]);
+    await client.query('UPDATE students SET center_id = $2, updated_at = NOW() WHERE id = ANY($1::int[])', [studentIds, centerId]);
+    await client.query(`
+      UPDATE learners SET center_id = $2
+      WHERE learner_key IN (SELECT COALESCE(identity_key, 'name:' || LOWER(TRIM(name))) FROM students WHERE id = ANY($1::int[]))`,
+      [studentIds, centerId]);
+    await client.query('COMMIT');
+    return before.rows;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// A center's students with their latest stored package, for the director view
+async function getCenterStudents(centerIds) {
+  const res = await pool.query(`
+    SELECT s.id, s.name, s.email, s.path, s.path_label, s.center_id, ct.name AS center_name,
+      (SELECT COUNT(*) FROM certificates c WHERE c.student_id = s.id)::int AS cert_count,
+      gp.id AS package_id, gp.filename, gp.generated_at
+    FROM students s
+    JOIN centers ct ON ct.id = s.center_id
+    LEFT JOIN LATERAL (
+      SELECT id, filename, generated_at FROM generated_packages
+      WHERE student_id = s.id AND (pdf_hash IS NOT NULL OR pdf_data IS NOT NULL)
+      ORDER BY generated_at DESC LIMIT 1
+    ) gp ON TRUE
+    WHERE s.center_id = ANY($1::int[]) AND s.archived_at IS NULL
+    ORDER BY s.name, s.path`,
+    [centerIds]
+  );
+  return res.rows;
+}
+
+// The center of the student a package belongs to (null when none), or undefined for an unknown package
+async function getPackageCenter(packageId) {
+  const res = await pool.query(`
+    SELECT s.center_id FROM generated_packages gp
+    JOIN students s ON s.id = gp.student_id
+    WHERE gp.id = $1 AND s.archived_at IS NULL`, [packageId]);
+  return res.rows.length ? res.rows[0].center_id : undefined;
+}
+
+// ── PACKAGE EXPORT ───────────────────────────────────────────
+
+// Selected students (by id, or every student of the given centers) with their latest stored PDF package,
+// if any. Only the package id is read here; the PDF itself is fetched one at a time with getPackagePDF.
+async function getExportPackages({ studentIds = [], centerIds = [] }) {
+  const res = await pool.query(`
+    SELECT s.id, s.name, s.email, s.path, s.path_label, ct.name AS center_name,
+      gp.id AS package_id, gp.filename, gp.generated_at
+    FROM students s
+    LEFT JOIN centers ct ON ct.id = s.center_id
+    LEFT JOIN LATERAL (
+      SELECT id, filename, generated_at FROM generated_packages
+      WHERE student_id = s.id AND (pdf_hash IS NOT NULL OR pdf_data IS NOT NULL)
+      ORDER BY generated_at DESC LIMIT 1
+    ) gp ON TRUE
+    WHERE (s.id = ANY($1::int[]) OR s.center_id = ANY($2::int[])) AND s.archived_at IS NULL
+    ORDER BY s.name, s.path`,
+    [studentIds, centerIds]
+  );
+  return res.rows;
+}
+
 // ── MAGIC LINK AUTH ──────────────────────────────────────────
 
-async function createMagicToken(email) {
-  const crypto = require('crypto');
+// purpose is 'portal' for students or 'director' for center directors
+async function createMagicToken(email, purpose = 'portal') {
   const token = crypto.randomBytes(48).toString('hex');
   const expires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
 
   // Invalidate any previous unused tokens for this email
   await pool.query(
-    `UPDATE magic_tokens SET used = TRUE WHERE email = $1 AND used = FALSE`,
-    [email.toLowerCase()]
+    `UPDATE magic_tokens SET used = TRUE WHERE email = $1 AND purpose = $2 AND used = FALSE`,
+    [email.toLowerCase(), purpose]
   );
 
   await pool.query(
-    `INSERT INTO magic_tokens (email, token, expires_at) VALUES ($1, $2, $3)`,
-    [email.toLowerCase(), token, expires]
+    `INSERT INTO magic_tokens (email, token, expires_at, purpose) VALUES ($1, $2, $3, $4)`,
+    [email.toLowerCase(), token, expires, purpose]
   );
   return token;
 }
 
-async function verifyMagicToken(token) {
+// Consumes the token — each link works exactly once, and only for the purpose it was made for
+async function verifyMagicToken(token, purpose = 'portal') {
   const res = await pool.query(
-    `SELECT * FROM magic_tokens
-     WHERE token = $1 AND expires_at > NOW()`,
-    [token]
+    `UPDATE magic_tokens SET used = TRUE
+     WHERE token = $1 AND purpose = $2 AND used = FALSE AND expires_at > NOW()
+     RETURNING *`,
+    [token, purpose]
   );
   if (!res.rows.length) return null;
   return res.rows[0]; // { email, ... }
 }
 
+/**
+ * Logs a portal link request and decides whether it may go through.
+ * limits = { windowMinutes, perEmail, perIp }. Only requests that went through count,
+ * so hammering the endpoint doesn't push the cooldown further out.
+ * Returns { allowed, reason: 'email'|'ip'|null, retryAfter } — retryAfter in seconds.
+ */
+async function recordLinkRequest(email, ip, limits) {
+  const counts = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE email = $1) AS email_count,
+      EXTRACT(EPOCH FROM MIN(requested_at) FILTER (WHERE email = $1)
+              + make_interval(mins => $3) - NOW()) AS email_wait,
+      COUNT(*) FILTER (WHERE ip = $2) AS ip_count,
+      EXTRACT(EPOCH FROM MIN(requested_at) FILTER (WHERE ip = $2)
+              + make_interval(mins => $3) - NOW()) AS ip_wait
+    FROM link_requests
+    WHERE NOT blocked AND (email = $1 OR ip = $2)
+      AND requested_at > NOW() - make_interval(mins => $3)`,
+    [email, ip, limits.windowMinutes]
+  );
+  const c = counts.rows[0];
+  let reason = null, retryAfter = 0;
+  if (parseInt(c.email_count) >= limits.perEmail) {
+    reason = 'email'; retryAfter = Math.ceil(c.email_wait);
+  }
+  if (parseInt(c.ip_count) >= limits.perIp) {
+    reason = reason || 'ip'; retryAfter = Math.max(retryAfter, Math.ceil(c.ip_wait));
+  }
+  await pool.query(
+    `INSERT INTO link_requests (email, ip, blocked) VALUES ($1, $2, $3)`,
+    [email, ip, !!reason]
+  );
+  return { allowed: !reason, reason, retryAfter };
+}
+
+// The request log only matters inside the rate-limit window; blocked attempts stay in the audit log
+async function pruneLinkRequests(days) {
+  await pool.query(
+    `DELETE FROM link_requests WHERE requested_at < NOW() - make_interval(days => $1)`,
+    [days]
+  );
+}
+
+// ── PACKAGE DELIVERIES ────────────────────────────────────────
+
+// Queues one email per package whose student is active and has an email address.
+// Returns { queued: [delivery rows], skipped: [package ids] }
+async function queueDeliveries(packageIds, { attach, requestedBy }) {
+  const res = await pool.query(`
+    INSERT INTO package_deliveries (package_id, email, attach_pdf, requested_by)
+    SELECT gp.id, s.email, $2, $3
+    FROM generated_packages gp
+    JOIN students s ON s.id = gp.student_id
+    WHERE gp.id = ANY($1::int[]) AND s.archived_at IS NULL AND COALESCE(s.email, '') <> ''
+    RETURNING *`,
+    [packageIds, !!attach, requestedBy]
+  );
+  const queued = new Set(res.rows.map(r => r.package_id));
+  return { queued: res.rows, skipped: packageIds.filter(id => !queued.has(id)) };
+}
+
+async function getQueuedDeliveries(limit) {
+  const res = await pool.query(`
+    SELECT d.*, s.name, s.path_label
+    FROM package_deliveries d
+    JOIN generated_packages gp ON gp.id = d.package_id
+    JOIN students s ON s.id = gp.student_id
+    WHERE d.status = 'queued'
+    ORDER BY d.id
+    LIMIT $1`,
+    [limit]
+  );
+  return res.rows;
+}
+
+async function markDelivery(id, status, error) {
+  await pool.query(
+    `UPDATE package_deliveries
+     SET status = $2::varchar, error = $3, sent_at = CASE WHEN $2::varchar = 'sent' THEN NOW() END
+     WHERE id = $1`,
+    [id, status, error || null]
+  );
+}
+
 async function findStudentsByEmail(email) {
   const res = await pool.query(
     `SELECT s.*,
@@ -295,7 +1175,7 @@ async function findStudentsByEmail(email) {
      FROM students s
      LEFT JOIN certificates c ON c.student_id = s.id
      LEFT JOIN generated_packages gp ON gp.student_id = s.id
-     WHERE LOWER(s.email) = LOWER($1)
+     WHERE LOWER(s.email) = LOWER($1) AND s.archived_at IS NULL
      GROUP BY s.id
      ORDER BY s.path ASC`,
     [email]
@@ -304,14 +1184,14 @@ async function findStudentsByEmail(email) {
 }
 
 async function getStudentPackages(studentId) {
-  // Only return the single most recent batch-generated package
+  // Only return the single most recent stored package — every generator now
+  // stores the same server-rendered PDF, so it no longer matters which page made it
   const res = await pool.query(
     `SELECT id, filename, path, generated_at, generated_by,
-       (pdf_data IS NOT NULL) as has_pdf
+       TRUE as has_pdf
      FROM generated_packages
      WHERE student_id = $1
-       AND generated_by = 'Batch Generator'
-       AND pdf_data IS NOT NULL
+       AND (pdf_hash IS NOT NULL OR pdf_data IS NOT NULL)
      ORDER BY generated_at DESC
      LIMIT 1`,
     [studentId]
@@ -319,21 +1199,640 @@ async function getStudentPackages(studentId) {
   return res.rows;
 }
 
+// ── VERIFICATION CODES ───────────────────────────────────────
+
+// 10 characters without look-alikes (no 0/O, 1/I/L), printed as XXXXX-XXXXX
+const CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+function newVerifyCode() {
+  const chars = [...crypto.randomBytes(10)].map(b => CODE_CHARS[b % CODE_CHARS.length]).join('');
+  return chars.slice(0, 5) + '-' + chars.slice(5);
+}
+
+// Issues the codes printed on one package: one for the package, one per certificate (in the given order).
+// certificates: [{ course, date, hours }]
+async function createVerificationCodes(packageId, student, certificates) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const insert = async (kind, cert) => {
+      const code = newVerifyCode();
+      await client.query(`
+        INSERT INTO verification_codes (code, kind, package_id, student_id, learner_name, course_name, cert_date, hours)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [code, kind, packageId, student.id, student.name, cert.course || null, cert.date || null, cert.hours || null]);
+      return code;
+    };
+    const totalHours = certificates.reduce((t, c) => t + (c.hours || 0), 0);
+    const packageCode = await insert('package', { hours: totalHours, date: new Date() });
+    const certificateCodes = [];
+    for (const cert of certificates) certificateCodes.push(await insert('certificate', cert));
+    await client.query('COMMIT');
+    return { packageCode, certificateCodes };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// status: revoked | deleted (package or student gone, or student in the trash) | superseded (a newer package exists) | valid
+async function getVerification(code) {
+  const res = await pool.query(`
+    SELECT vc.*,
+      CASE
+        WHEN vc.revoked_at IS NOT NULL THEN 'revoked'
+        WHEN vc.package_id IS NULL OR vc.student_id IS NULL OR s.archived_at IS NOT NULL THEN 'deleted'
+        WHEN EXISTS (
+          SELECT 1 FROM generated_packages newer
+          WHERE newer.student_id = vc.student_id AND newer.generated_at > gp.generated_at
+        ) THEN 'superseded'
+        ELSE 'valid'
+      END AS status
+    FROM verification_codes vc
+    LEFT JOIN generated_packages gp ON gp.id = vc.package_id
+    LEFT JOIN students s ON s.id = vc.student_id
+    WHERE vc.code = $1
+  `, [String(code || '').toUpperCase().trim()]);
+  return res.rows[0] || null;
+}
+
+// Revokes every code printed on a package
+async function revokePackage(packageId, reason) {
+  const res = await pool.query(`
+    UPDATE verification_codes SET revoked_at = NOW(), revoked_reason = $2
+    WHERE package_id = $1 AND revoked_at IS NULL
+  `, [packageId, reason || null]);
+  return { revoked: res.rowCount };
+}
+
+// ── AUDIT LOG ────────────────────────────────────────────────
+
+// event: { actorType, actorId?, actor?, ip?, action, targetType?, targetId?, before?, after? }
+async function recordAuditEvent(e) {
+  // Stringify ourselves — pg would turn a top-level array into a Postgres array, not JSON
+  const json = v => (v === undefined || v === null ? null : JSON.stringify(v));
+  await pool.query(`
+    INSERT INTO audit_events (actor_type, actor_id, actor, ip, action, target_type, target_id, before, after)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    e.actorType, e.actorId || null, e.actor || null, e.ip || null, e.action,
+    e.targetType || null, e.targetId == null ? null : String(e.targetId),
+    json(e.before), json(e.after),
+  ]);
+}
+
+// ── IMPORT PROFILES ───────────────────────────────────────────
+
+async function seedImportProfiles() {
+  const existing = await pool.query('SELECT COUNT(*)::int AS n FROM import_profiles');
+  if (existing.rows[0].n > 0) return;
+  for (const p of profileSeed.PROFILES) await createImportProfile(p);
+  console.log('✅ Import column mappings seeded');
+}
+
+const profileRow = r => r && ({
+  id:               r.id,
+  name:             r.name,
+  columns:          r.columns,
+  dateFormat:       r.date_format,
+  statusValues:     r.status_values,
+  nameFromFilename: r.name_from_filename,
+  updatedAt:        r.updated_at,
+});
+
+async function getImportProfiles() {
+  const res = await pool.query('SELECT * FROM import_profiles ORDER BY id');
+  return res.rows.map(profileRow);
+}
+
+async function getImportProfile(id) {
+  const res = await pool.query('SELECT * FROM import_profiles WHERE id = $1', [id]);
+  return profileRow(res.rows[0]);
+}
+
+async function createImportProfile(p) {
+  const res = await pool.query(`
+    INSERT INTO import_profiles (name, columns, date_format, status_values, name_from_filename)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *`,
+    [p.name.trim(), JSON.stringify(p.columns), p.dateFormat, JSON.stringify(p.statusValues), !!p.nameFromFilename]
+  );
+  return profileRow(res.rows[0]);
+}
+
+async function updateImportProfile(id, p) {
+  const res = await pool.query(`
+    UPDATE import_profiles
+    SET name = $2, columns = $3, date_format = $4, status_values = $5, name_from_filename = $6, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *`,
+    [id, p.name.trim(), JSON.stringify(p.columns), p.dateFormat, JSON.stringify(p.statusValues), !!p.nameFromFilename]
+  );
+  return profileRow(res.rows[0]);
+}
+
+async function deleteImportProfile(id) {
+  const res = await pool.query('DELETE FROM import_profiles WHERE id = $1 RETURNING *', [id]);
+  return profileRow(res.rows[0]);
+}
+
+// ── IMPORTS ───────────────────────────────────────────────────
+
+async function createImport(data) {
+  const res = await pool.query(`
+    INSERT INTO imports (filename, uploaded_by, row_count, learner_count, skipped_count, ignored_count, unmatched, profile_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *`,
+    [data.filename, data.uploadedBy, data.rowCount, data.learnerCount, data.skippedCount, data.ignoredCount,
+     JSON.stringify(data.unmatched || []), data.profileId || null]
+  );
+  return res.rows[0];
+}
+
+// Newest first, with how many packages and students each import produced
+async function getImports(limit = 100) {
+  const res = await pool.query(`
+    SELECT im.*, ip.name AS profile_name,
+      COUNT(gp.id)::int AS package_count, COUNT(DISTINCT gp.student_id)::int AS student_count
+    FROM imports im
+    LEFT JOIN import_profiles ip ON ip.id = im.profile_id
+    LEFT JOIN generated_packages gp ON gp.import_id = im.id
+    GROUP BY im.id, ip.name
+    ORDER BY im.created_at DESC
+    LIMIT $1`,
+    [limit]
+  );
+  return res.rows;
+}
+
+async function getImport(id) {
+  const res = await pool.query('SELECT * FROM imports WHERE id = $1', [id]);
+  if (!res.rows.length) return null;
+  const pkgs = await pool.query(`
+    SELECT gp.id, gp.student_id, gp.filename, gp.path, gp.generated_at, gp.generated_by,
+      s.name AS student_name, s.archived_at
+    FROM generated_packages gp
+    JOIN students s ON s.id = gp.student_id
+    WHERE gp.import_id = $1
+    ORDER BY s.name, gp.generated_at`,
+    [id]
+  );
+  return { ...res.rows[0], packages: pkgs.rows };
+}
+
+// ── LEARNER PROGRESS ─────────────────────────────────────────
+
+// The center whose LMS groups include one of the learner's groups (compared case-insensitively), or null
+function centerForGroups(centers, groups) {
+  const mine = new Set((groups || []).map(g => g.toLowerCase().trim()));
+  const hit  = centers.find(c => c.lms_groups.some(g => mine.has(g.toLowerCase().trim())));
+  return hit ? hit.id : null;
+}
+
+/**
+ * Stores every learner of an import with their matched courses, so progress survives
+ * without a generated package. A course keeps its best status; at the same status the newer
+ * activity wins, and a later import never turns a completion back into in progress.
+ * learners = importer.parseExport(...).learners
+ */
+async function saveLearnerProgress(learners, importId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const centers = await client.query('SELECT id, lms_groups FROM centers');
+    for (const l of learners) {
+      const key  = identity.learnerKey(l);
+      const center = centerForGroups(centers.rows, l.groups);
+      // A learner first seen without an LMS learner ID keeps their record once the export has one
+      const byEmail = identity.identityKey({ email: l.email });
+      if (key !== byEmail && byEmail) {
+        await client.query(`
+          UPDATE learners SET learner_key = $1
+          WHERE learner_key = $2 AND NOT EXISTS (SELECT 1 FROM learners WHERE learner_key = $1)`,
+          [key, byEmail]);
+      }
+      const last = l.activities.reduce((d, a) => (!d || a.date > d ? a.date : d), null);
+      const res = await client.query(`
+        INSERT INTO learners (learner_key, name, email, paths, groups, center_id, last_activity, last_import_id, updated_at)
+        VALUES ($1, $2, $3, $4, $7, $8, $5, $6, NOW())
+        ON CONFLICT (learner_key) DO UPDATE SET
+          name           = EXCLUDED.name,
+          email          = COALESCE(EXCLUDED.email, learners.email),
+          paths          = ARRAY(SELECT DISTINCT unnest(learners.paths || EXCLUDED.paths)),
+          groups         = EXCLUDED.groups,
+          center_id      = COALESCE(learners.center_id, EXCLUDED.center_id),
+          last_activity  = GREATEST(learners.last_activity, EXCLUDED.last_activity),
+          last_import_id = EXCLUDED.last_import_id,
+          updated_at     = NOW()
+        RETURNING id`,
+        [key, l.name, l.email || null, l.paths, last, importId, l.groups || [], center]
+      );
+      const learnerId = res.rows[0].id;
+      const rank = t => `CASE ${t}.status WHEN 'completed' THEN 2 WHEN 'in_progress' THEN 1 ELSE 0 END`;
+      for (const m of Object.values(l.programs).flat()) {
+        await client.query(`
+          INSERT INTO learner_courses (learner_id, course_id, title, status, activity_date, import_id)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (learner_id, course_id) DO UPDATE SET
+            title = EXCLUDED.title, status = EXCLUDED.status,
+            activity_date = EXCLUDED.activity_date, import_id = EXCLUDED.import_id
+          WHERE ${rank('EXCLUDED')} > ${rank('learner_courses')}
+             OR (${rank('EXCLUDED')} = ${rank('learner_courses')} AND EXCLUDED.activity_date >= learner_courses.activity_date)`,
+          [learnerId, m.courseId, m.title, m.status, m.date, importId]
+        );
+      }
+    }
+    await client.query('COMMIT');
+    await assignCentersFromGroups();
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * One row per learner and program they are enrolled in, closest to finishing first.
+ * filters: { path?, q? (name or email contains), unfinished?, centerIds? }
+ * → [{ learner_id, name, email, path, last_activity, completed, in_progress, total,
+ *      hours_done, hours_total, areas: [{ area, done, total }] }]
+ */
+async function getLearnerProgress(filters = {}) {
+  const where = [], params = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace(/\?/g, '$' + params.length)); };
+  if (filters.path) add('p.path = ?', filters.path);
+  if (filters.q)    add("(l.name ILIKE '%' || ? || '%' OR l.email ILIKE '%' || ? || '%')", filters.q);
+  if (filters.centerIds) add('l.center_id = ANY(?::int[])', filters.centerIds);
+  const res = await pool.query(`
+    WITH p AS (
+      SELECT l.id AS learner_id, unnest(l.paths) AS path FROM learners l
+    ),
+    per_area AS (
+      SELECT p.learner_id, p.path, c.area_index,
+        COUNT(*)::int AS total,
+        COUNT(lc.course_id) FILTER (WHERE lc.status = 'completed')::int AS done,
+        COUNT(lc.course_id) FILTER (WHERE lc.status <> 'completed')::int AS in_progress,
+        SUM(c.hours)::int AS hours_total,
+        COALESCE(SUM(c.hours) FILTER (WHERE lc.status = 'completed'), 0)::int AS hours_done
+      FROM p
+      JOIN courses c ON c.program = p.path
+      LEFT JOIN learner_courses lc ON lc.learner_id = p.learner_id AND lc.course_id = c.id
+      GROUP BY p.learner_id, p.path, c.area_index
+    )
+    SELECT l.id AS learner_id, l.name, l.email, l.last_activity::text, p.path, l.center_id, ct.name AS center_name,
+      SUM(a.done)::int AS completed, SUM(a.in_progress)::int AS in_progress, SUM(a.total)::int AS total,
+      SUM(a.hours_done)::int AS hours_done, SUM(a.hours_total)::int AS hours_total,
+      json_agg(json_build_object('area', a.area_index, 'done', a.done, 'total', a.total) ORDER BY a.area_index) AS areas
+    FROM p
+    JOIN learners l ON l.id = p.learner_id
+    JOIN per_area a ON a.learner_id = p.learner_id AND a.path = p.path
+    LEFT JOIN centers ct ON ct.id = l.center_id
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    GROUP BY l.id, p.path, ct.name
+    ${filters.unfinished ? 'HAVING SUM(a.done) < SUM(a.total)' : ''}
+    ORDER BY SUM(a.hours_total) - SUM(a.hours_done) ASC, l.last_activity DESC NULLS LAST, l.name`,
+    params
+  );
+  return res.rows;
+}
+
+// The record each learner's package would be saved on (see findStudent), with its stored
+// certificates, package count and archived_at — in the order of keys, null where there is none yet
+// keys = [{ name, email?, lmsId?, path }]
+async function getStudentsWithCertificates(keys) {
+  const found = [];
+  for (const k of keys) {
+    const s = await findStudent(pool, k);
+    found.push(s ? s.id : null);
+  }
+  const ids = found.filter(Boolean);
+  if (!ids.length) return found;
+  const res = await pool.query(`
+    SELECT s.id, s.name, s.path, s.archived_at,
+      (SELECT COUNT(*)::int FROM generated_packages gp WHERE gp.student_id = s.id) AS package_count,
+      COALESCE(json_agg(json_build_object(
+        'course', c.course_name, 'date', c.cert_date::text, 'status', c.status, 'sourceDate', c.source_date::text
+      ) ORDER BY c.course_name) FILTER (WHERE c.id IS NOT NULL), '[]') AS certificates
+    FROM students s
+    LEFT JOIN certificates c ON c.student_id = s.id
+    WHERE s.id = ANY($1::int[])
+    GROUP BY s.id`,
+    [ids]
+  );
+  return found.map(id => id && res.rows.find(r => r.id === id));
+}
+
+// Certificates whose printed date is not the LMS completion date, newest first.
+// filters: { adjustment?: 'shifted' | 'estimated', path? }
+async function getAdjustedCertificates(filters = {}) {
+  const where = ['c.date_adjustment IS NOT NULL'], params = [];
+  if (filters.adjustment) { params.push(filters.adjustment); where.push(`c.date_adjustment = $${params.length}`); }
+  if (filters.path)       { params.push(filters.path);       where.push(`s.path = $${params.length}`); }
+  const res = await pool.query(`
+    SELECT c.id, c.student_id, s.name AS student_name, s.path, s.archived_at,
+      c.course_name, c.status, c.source_date::text, c.cert_date::text AS printed_date, c.date_adjustment,
+      (c.source_date - c.cert_date) AS days_shifted, c.created_at
+    FROM certificates c
+    JOIN students s ON s.id = c.student_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY c.created_at DESC, s.name, c.cert_date`,
+    params
+  );
+  return res.rows;
+}
+
+// ── UNMATCHED TITLES & ALIASES ───────────────────────────────
+
+// Adds an import's unmatched titles to the review queue, or refreshes them if already queued.
+// Titles that already have an alias are left out.
+// titles = [{ key, title, learners }]
+async function queueUnmatchedTitles(titles, importId) {
+  for (const t of titles) {
+    await pool.query(`
+      INSERT INTO unmatched_titles (title_key, title, learner_count, last_import_id)
+      SELECT $1::varchar, $2, $3, $4
+      WHERE NOT EXISTS (SELECT 1 FROM course_aliases WHERE title_key = $1)
+      ON CONFLICT (title_key) DO UPDATE
+      SET title = EXCLUDED.title, learner_count = EXCLUDED.learner_count, last_import_id = EXCLUDED.last_import_id,
+          import_count = unmatched_titles.import_count + 1, last_seen_at = NOW()`,
+      [t.key, t.title, t.learners, importId]
+    );
+  }
+}
+
+// Most recently seen first, with the file that last contained each title
+async function getUnmatchedTitles() {
+  const res = await pool.query(`
+    SELECT ut.*, im.filename AS last_import_filename
+    FROM unmatched_titles ut
+    LEFT JOIN imports im ON im.id = ut.last_import_id
+    ORDER BY ut.last_seen_at DESC, ut.id DESC`);
+  return res.rows;
+}
+
+async function getUnmatchedTitle(id) {
+  const res = await pool.query('SELECT * FROM unmatched_titles WHERE id = $1', [id]);
+  return res.rows[0] || null;
+}
+
+// Every alias with its course, for the importer and the Imports tab
+async function getCourseAliases() {
+  const res = await pool.query(`
+    SELECT ca.*, c.name AS course_name, c.program
+    FROM course_aliases ca
+    LEFT JOIN courses c ON c.id = ca.course_id
+    ORDER BY ca.title_key, c.program`);
+  return res.rows;
+}
+
+/**
+ * Records the decision for a queued title and takes it off the queue.
+ * courseIds = catalog courses the title counts as (at most one per program); an empty list ignores the title.
+ */
+async function resolveUnmatchedTitle(id, courseIds, createdBy) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const res = await client.query('DELETE FROM unmatched_titles WHERE id = $1 RETURNING *', [id]);
+    const queued = res.rows[0];
+    if (!queued) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const aliases = [];
+    for (const courseId of courseIds.length ? courseIds : [null]) {
+      const a = await client.query(`
+        INSERT INTO course_aliases (title_key, title, course_id, created_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT DO NOTHING
+        RETURNING *`,
+        [queued.title_key, queued.title, courseId, createdBy]
+      );
+      aliases.push(...a.rows);
+    }
+    await client.query('COMMIT');
+    return { queued, aliases };
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Removes a decision; the title goes back on the queue the next time an import contains it
+async function deleteCourseAlias(id) {
+  const res = await pool.query('DELETE FROM course_aliases WHERE id = $1 RETURNING *', [id]);
+  return res.rows[0] || null;
+}
+
+// filters: { action?, actor?, targetType?, targetId?, from?, to?, limit?, offset?, all? }
+// action matches a whole action ('student.delete') or a prefix ('student'); all: true skips paging (CSV export)
+async function getAuditEvents(filters = {}) {
+  const where = [], params = [];
+  const add = (sql, value) => { params.push(value); where.push(sql.replace(/\?/g, '$' + params.length)); };
+  if (filters.action)     add("(action = ? OR action LIKE ? || '.%')", filters.action);
+  if (filters.actor)      add('actor ILIKE ?', `%${filters.actor}%`);
+  if (filters.targetType) add('target_type = ?', filters.targetType);
+  if (filters.targetId)   add('target_id = ?', String(filters.targetId));
+  if (filters.from)       add('occurred_at >= ?::date', filters.from);
+  if (filters.to)         add("occurred_at < ?::date + INTERVAL '1 day'", filters.to);
+
+  const limit  = Math.min(parseInt(filters.limit, 10) || 200, 1000);
+  const offset = parseInt(filters.offset, 10) || 0;
+  const res = await pool.query(`
+    SELECT *, COUNT(*) OVER() AS total
+    FROM audit_events
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY occurred_at DESC, id DESC
+    ${filters.all ? '' : `LIMIT ${limit} OFFSET ${offset}`}
+  `, params);
+  return {
+    total:  res.rows.length ? parseInt(res.rows[0].total, 10) : 0,
+    events: res.rows.map(({ total, ...row }) => row),
+  };
+}
+
+// ── ADMIN ACCOUNTS ───────────────────────────────────────────
+
+const ADMIN_COLUMNS = 'id, email, name, role, active, last_login_at, created_at';
+
+async function countAdminUsers() {
+  const res = await pool.query('SELECT COUNT(*)::int AS n FROM admin_users');
+  return res.rows[0].n;
+}
+
+async function getAdminUsers() {
+  const res = await pool.query(`SELECT ${ADMIN_COLUMNS} FROM admin_users ORDER BY name ASC`);
+  return res.rows;
+}
+
+async function getAdminUser(id) {
+  const res = await pool.query(`SELECT ${ADMIN_COLUMNS} FROM admin_users WHERE id = $1`, [id]);
+  return res.rows[0] || null;
+}
+
+// Includes password_hash — only for checking a login
+async function getAdminUserByEmail(email) {
+  const res = await pool.query(
+    'SELECT * FROM admin_users WHERE email = $1',
+    [String(email || '').toLowerCase().trim()]
+  );
+  return res.rows[0] || null;
+}
+
+async function createAdminUser(data) {
+  const res = await pool.query(`
+    INSERT INTO admin_users (email, name, role, password_hash)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${ADMIN_COLUMNS}
+  `, [data.email.toLowerCase().trim(), data.name.trim(), data.role || 'viewer', data.passwordHash]);
+  return res.rows[0];
+}
+
+// data: { name?, role?, active?, passwordHash? } — a deactivated user is signed out everywhere
+async function updateAdminUser(id, data) {
+  const res = await pool.query(`
+    UPDATE admin_users SET
+      name          = COALESCE($2, name),
+      role          = COALESCE($3, role),
+      active        = COALESCE($4, active),
+      password_hash = COALESCE($5, password_hash)
+    WHERE id = $1
+    RETURNING ${ADMIN_COLUMNS}
+  `, [id, data.name ?? null, data.role ?? null, data.active ?? null, data.passwordHash ?? null]);
+  const user = res.rows[0] || null;
+  if (user && (!user.active || data.passwordHash)) {
+    await pool.query('DELETE FROM admin_sessions WHERE user_id = $1', [id]);
+  }
+  return user;
+}
+
+async function recordAdminLogin(id) {
+  await pool.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [id]);
+}
+
+async function createAdminSession(userId, tokenHash, expiresAt) {
+  // Clear out this user's expired sessions while we're here
+  await pool.query('DELETE FROM admin_sessions WHERE user_id = $1 AND expires_at < NOW()', [userId]);
+  await pool.query(
+    'INSERT INTO admin_sessions (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [userId, tokenHash, expiresAt]
+  );
+}
+
+async function getAdminSessionUser(tokenHash) {
+  const res = await pool.query(`
+    SELECT u.id, u.email, u.name, u.role
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.user_id
+    WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.active
+  `, [tokenHash]);
+  return res.rows[0] || null;
+}
+
+async function deleteAdminSession(tokenHash) {
+  await pool.query('DELETE FROM admin_sessions WHERE token_hash = $1', [tokenHash]);
+}
+
 module.exports = {
   pool,
   initDB,
   getAllStudents,
+  getArchivedStudents,
   searchStudents,
   getStudent,
+  getStudentsByIds,
   getStudentCertificates,
+  updateStudent,
+  addCertificate,
+  updateCertificate,
+  deleteCertificate,
+  getPackageSnapshot,
+  isPackageOutdated,
+  getStudentsWithCertificates,
+  saveLearnerProgress,
+  getLearnerProgress,
+  getAdjustedCertificates,
   getStudentHistory,
   getPackagePDF,
+  storePDF,
+  getPackagesWithInlinePDF,
+  movePackagePDF,
+  pruneUnusedPDFs,
   saveStudentPackage,
+  attachPackagePDF,
+  saveRenderedPackage,
   deleteStudent,
   deleteManyStudents,   // ← new
+  restoreStudent,
+  purgeStudent,
+  purgeArchivedStudents,
+  getDuplicateCandidates,
+  markNotDuplicates,
+  mergeStudents,
+  splitStudent,
   getStats,
+  reportCompletionsByMonth,
+  reportProgramSplit,
+  reportPackagesByCenter,
+  reportTimeToFinish,
+  getCenters,
+  getCenter,
+  getCentersByDirector,
+  getLearnerGroups,
+  createCenter,
+  updateCenter,
+  deleteCenter,
+  assignStudentsToCenter,
+  getCenterStudents,
+  getPackageCenter,
+  getExportPackages,
+  getCatalog,
+  getCourse,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  updateSubjectArea,
+  updateProgramPolicy,
   createMagicToken,
   verifyMagicToken,
+  recordLinkRequest,
+  pruneLinkRequests,
+  queueDeliveries,
+  getQueuedDeliveries,
+  markDelivery,
   findStudentsByEmail,
   getStudentPackages,
+  createVerificationCodes,
+  getVerification,
+  revokePackage,
+  getImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+  createImport,
+  getImports,
+  getImport,
+  queueUnmatchedTitles,
+  getUnmatchedTitles,
+  getUnmatchedTitle,
+  getCourseAliases,
+  resolveUnmatchedTitle,
+  deleteCourseAlias,
+  recordAuditEvent,
+  getAuditEvents,
+  countAdminUsers,
+  getAdminUsers,
+  getAdminUser,
+  getAdminUserByEmail,
+  createAdminUser,
+  updateAdminUser,
+  recordAdminLogin,
+  createAdminSession,
+  getAdminSessionUser,
+  deleteAdminSession,
 };
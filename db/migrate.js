@@ -0,0 +1,130 @@
+// db/migrate.js — Numbered schema migrations (db/migrations/NNN_name.js) and the `npm run migrate` command
+// Each file exports up and down SQL. Applied migrations are recorded in schema_migrations, and each
+// runs in one transaction with its record, so a failed migration leaves nothing half-done.
+//   npm run migrate up         apply every pending migration (also the default)
+//   npm run migrate down [n]   roll back the last n applied migrations (default 1)
+//   npm run migrate status     list applied and pending migrations
+const fs   = require('fs');
+const path = require('path');
+
+const DIR  = path.join(__dirname, 'migrations');
+const LOCK = 72201; // pg_advisory_lock key, so two deploys never migrate at the same time
+
+// Migration files in order: [{ id: '001_initial_schema', up, down }]
+function migrations() {
+  return fs.readdirSync(DIR)
+    .filter(f => /^\d{3}_\w+\.js$/.test(f))
+    .sort()
+    .map(f => ({ id: f.replace(/\.js$/, ''), ...require(path.join(DIR, f)) }));
+}
+
+/**
+ * What has been applied to this database compared with the files in db/migrations:
+ * { applied: [{ id, applied_at }], pending: [id], unknown: [id] } — unknown are applied
+ * migrations with no file here, i.e. the database was migrated by a newer version of the app.
+ */
+async function status(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id         VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`);
+  const applied = (await db.query('SELECT id, applied_at FROM schema_migrations ORDER BY id')).rows;
+  const known   = migrations().map(m => m.id);
+  const done    = new Set(applied.map(r => r.id));
+  return {
+    applied,
+    pending: known.filter(id => !done.has(id)),
+    unknown: applied.map(r => r.id).filter(id => !known.includes(id)),
+  };
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK]);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK]).catch(() => {});
+    client.release();
+  }
+}
+
+async function step(client, id, sql, record) {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await client.query(record, [id]);
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw new Error(`${id} failed: ${e.message}`);
+  }
+}
+
+// Applies every pending migration in order; returns the ids applied
+async function up(pool, log = console.log) {
+  return withLock(pool, async client => {
+    const { pending } = await status(client);
+    const byId = new Map(migrations().map(m => [m.id, m]));
+    for (const id of pending) {
+      await step(client, id, byId.get(id).up, 'INSERT INTO schema_migrations (id) VALUES ($1)');
+      log(`⬆ ${id}`);
+    }
+    return pending;
+  });
+}
+
+// Rolls back the last `steps` applied migrations, newest first; returns the ids rolled back
+async function down(pool, steps = 1, log = console.log) {
+  return withLock(pool, async client => {
+    const { applied } = await status(client);
+    const byId = new Map(migrations().map(m => [m.id, m]));
+    const undo = applied.map(r => r.id).reverse().slice(0, steps);
+    const missing = undo.filter(id => !byId.has(id));
+    if (missing.length) throw new Error(`No file in db/migrations for ${missing.join(', ')} — roll it back with the version of the app that added it.`);
+    for (const id of undo) {
+      await step(client, id, byId.get(id).down, 'DELETE FROM schema_migrations WHERE id = $1');
+      log(`⬇ ${id}`);
+    }
+    return undo;
+  });
+}
+
+module.exports = { migrations, status, up, down };
+
+// ── COMMAND LINE ──────────────────────────────────────────────
+
+async function main() {
+  require('dotenv').config();
+  const { pool } = require('./index');
+  const [command = 'up', arg] = process.argv.slice(2);
+  try {
+    if (command === 'up') {
+      const done = await up(pool);
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!(steps >= 1)) throw new Error('down takes the number of migrations to roll back, e.g. `npm run migrate down 2`.');
+      const undone = await down(pool, steps);
+      console.log(undone.length ? `✅ Rolled back ${undone.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const { applied, pending, unknown } = await status(pool);
+      const width = Math.max(0, ...migrations().map(m => m.id.length), ...unknown.map(id => id.length));
+      applied.forEach(r => console.log(`  ${unknown.includes(r.id) ? '?' : '✔'} ${r.id.padEnd(width)}  applied ${r.applied_at.toISOString().slice(0, 16).replace('T', ' ')}` +
+        (unknown.includes(r.id) ? ' — no file in db/migrations' : '')));
+      pending.forEach(id => console.log(`  · ${id.padEnd(width)}  pending`));
+      if (unknown.length) console.log(`${unknown.length} applied by a newer version of the app`);
+      if (pending.length) console.log(`${pending.length} pending — run \`npm run migrate up\``);
+      else if (!unknown.length) console.log('Database is up to date');
+    } else {
+      throw new Error(`Unknown command "${command}" — use up, down [n] or status.`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error('❌', e.message); process.exitCode = 1; });
+}
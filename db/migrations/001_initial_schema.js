@@ -0,0 +1,245 @@
+// db/migrations/001_initial_schema.js — The tables as they stood when numbered migrations replaced initDB.
+// Everything is IF NOT EXISTS, so a database set up by the old initDB takes this (and 002–011) as-is.
+
+exports.up = `
+  CREATE TABLE IF NOT EXISTS students (
+    id          SERIAL PRIMARY KEY,
+    name        VARCHAR(255) NOT NULL,
+    email       VARCHAR(255),
+    center      VARCHAR(255),
+    path        VARCHAR(10) NOT NULL,
+    path_label  VARCHAR(100) NOT NULL,
+    course_count INT DEFAULT 0,
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    updated_at  TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS certificates (
+    id           SERIAL PRIMARY KEY,
+    student_id   INT REFERENCES students(id) ON DELETE CASCADE,
+    course_name  VARCHAR(500) NOT NULL,
+    subject_area VARCHAR(500) NOT NULL,
+    cert_date    DATE NOT NULL,
+    status       VARCHAR(50) DEFAULT 'Pass',
+    area_index   INT,
+    created_at   TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS generated_packages (
+    id           SERIAL PRIMARY KEY,
+    student_id   INT REFERENCES students(id) ON DELETE CASCADE,
+    filename     VARCHAR(500),
+    path         VARCHAR(10),
+    generated_at TIMESTAMPTZ DEFAULT NOW(),
+    generated_by VARCHAR(255),
+    pdf_data     BYTEA
+  );
+
+  CREATE TABLE IF NOT EXISTS magic_tokens (
+    id         SERIAL PRIMARY KEY,
+    email      VARCHAR(255) NOT NULL,
+    token      VARCHAR(128) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    used       BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS programs (
+    code        VARCHAR(10) PRIMARY KEY,
+    label       VARCHAR(100) NOT NULL,
+    short_label VARCHAR(50) NOT NULL,
+    sort_order  INT DEFAULT 0
+  );
+
+  CREATE TABLE IF NOT EXISTS subject_areas (
+    area_index  INT PRIMARY KEY,
+    label       VARCHAR(500) NOT NULL,
+    short_label VARCHAR(100),
+    color       VARCHAR(7)
+  );
+
+  CREATE TABLE IF NOT EXISTS courses (
+    id          SERIAL PRIMARY KEY,
+    program     VARCHAR(10) NOT NULL REFERENCES programs(code) ON DELETE CASCADE,
+    name        VARCHAR(500) NOT NULL,
+    area_index  INT NOT NULL REFERENCES subject_areas(area_index),
+    hours       INT NOT NULL DEFAULT 3,
+    keywords    TEXT[] NOT NULL DEFAULT '{}',
+    sort_order  INT DEFAULT 0,
+    updated_at  TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (program, name)
+  );
+
+  -- One code per printed package and per certificate page. The learner details are copied
+  -- in so a code still explains itself after the student or package is deleted.
+  CREATE TABLE IF NOT EXISTS verification_codes (
+    code           VARCHAR(16) PRIMARY KEY,
+    kind           VARCHAR(12) NOT NULL CHECK (kind IN ('package', 'certificate')),
+    package_id     INT REFERENCES generated_packages(id) ON DELETE SET NULL,
+    student_id     INT REFERENCES students(id) ON DELETE SET NULL,
+    learner_name   VARCHAR(255) NOT NULL,
+    course_name    VARCHAR(500),
+    cert_date      DATE,
+    hours          INT,
+    revoked_at     TIMESTAMPTZ,
+    revoked_reason TEXT,
+    created_at     TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS audit_events (
+    id          BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMPTZ DEFAULT NOW(),
+    actor_type  VARCHAR(20) NOT NULL,
+    actor_id    INT,
+    actor       VARCHAR(255),
+    ip          VARCHAR(64),
+    action      VARCHAR(64) NOT NULL,
+    target_type VARCHAR(32),
+    target_id   VARCHAR(64),
+    before      JSONB,
+    after       JSONB
+  );
+  CREATE INDEX IF NOT EXISTS audit_events_occurred_idx ON audit_events (occurred_at DESC);
+  CREATE INDEX IF NOT EXISTS audit_events_target_idx ON audit_events (target_type, target_id);
+
+  CREATE TABLE IF NOT EXISTS admin_users (
+    id            SERIAL PRIMARY KEY,
+    email         VARCHAR(255) NOT NULL UNIQUE,
+    name          VARCHAR(255) NOT NULL,
+    role          VARCHAR(20) NOT NULL DEFAULT 'viewer'
+                  CHECK (role IN ('viewer', 'generator', 'admin')),
+    password_hash VARCHAR(255) NOT NULL,
+    active        BOOLEAN DEFAULT TRUE,
+    last_login_at TIMESTAMPTZ,
+    created_at    TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS admin_sessions (
+    id         SERIAL PRIMARY KEY,
+    user_id    INT NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS link_requests (
+    id           BIGSERIAL PRIMARY KEY,
+    email        VARCHAR(255) NOT NULL,
+    ip           VARCHAR(64),
+    blocked      BOOLEAN NOT NULL DEFAULT FALSE,
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS link_requests_email_idx ON link_requests (email, requested_at);
+  CREATE INDEX IF NOT EXISTS link_requests_ip_idx ON link_requests (ip, requested_at);
+
+  CREATE TABLE IF NOT EXISTS package_deliveries (
+    id           SERIAL PRIMARY KEY,
+    package_id   INT NOT NULL REFERENCES generated_packages(id) ON DELETE CASCADE,
+    email        VARCHAR(255) NOT NULL,
+    attach_pdf   BOOLEAN NOT NULL DEFAULT FALSE,
+    status       VARCHAR(10) NOT NULL DEFAULT 'queued'
+                 CHECK (status IN ('queued', 'sent', 'failed')),
+    error        TEXT,
+    requested_by VARCHAR(255),
+    created_at   TIMESTAMPTZ DEFAULT NOW(),
+    sent_at      TIMESTAMPTZ
+  );
+  CREATE INDEX IF NOT EXISTS package_deliveries_package_idx ON package_deliveries (package_id);
+
+  CREATE TABLE IF NOT EXISTS import_profiles (
+    id                 SERIAL PRIMARY KEY,
+    name               VARCHAR(255) NOT NULL UNIQUE,
+    columns            JSONB NOT NULL,
+    date_format        VARCHAR(20) NOT NULL DEFAULT 'auto',
+    status_values      JSONB NOT NULL,
+    name_from_filename BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at         TIMESTAMPTZ DEFAULT NOW(),
+    updated_at         TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS imports (
+    id            SERIAL PRIMARY KEY,
+    filename      VARCHAR(255),
+    uploaded_by   VARCHAR(255),
+    row_count     INT NOT NULL DEFAULT 0,
+    learner_count INT NOT NULL DEFAULT 0,
+    skipped_count INT NOT NULL DEFAULT 0,
+    ignored_count INT NOT NULL DEFAULT 0,
+    unmatched     JSONB NOT NULL DEFAULT '[]',
+    created_at    TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  -- Child care centers that send groups of staff. lms_groups are the LMS group names
+  -- whose learners belong to the center; the director signs in with director_email.
+  CREATE TABLE IF NOT EXISTS centers (
+    id             SERIAL PRIMARY KEY,
+    name           VARCHAR(255) NOT NULL UNIQUE,
+    director_name  VARCHAR(255),
+    director_email VARCHAR(255),
+    phone          VARCHAR(50),
+    address        TEXT,
+    lms_groups     TEXT[] NOT NULL DEFAULT '{}',
+    created_at     TIMESTAMPTZ DEFAULT NOW(),
+    updated_at     TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  -- Everyone seen in an LMS import, whether or not a package was generated for them.
+  -- learner_key is the email, or the lower-cased name when the export has no email.
+  CREATE TABLE IF NOT EXISTS learners (
+    id             SERIAL PRIMARY KEY,
+    learner_key    VARCHAR(255) NOT NULL UNIQUE,
+    name           VARCHAR(255) NOT NULL,
+    email          VARCHAR(255),
+    paths          TEXT[] NOT NULL DEFAULT '{}',
+    last_activity  DATE,
+    last_import_id INT REFERENCES imports(id) ON DELETE SET NULL,
+    updated_at     TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  -- Each learner's best activity per catalog course, completed or still in progress
+  CREATE TABLE IF NOT EXISTS learner_courses (
+    learner_id    INT NOT NULL REFERENCES learners(id) ON DELETE CASCADE,
+    course_id     INT NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    title         VARCHAR(500),
+    status        VARCHAR(20) NOT NULL,
+    activity_date DATE,
+    import_id     INT REFERENCES imports(id) ON DELETE SET NULL,
+    PRIMARY KEY (learner_id, course_id)
+  );
+
+  -- LMS titles that matched no catalog course, waiting for an admin to map or ignore them.
+  -- title_key is the lower-cased, whitespace-collapsed title the importer compares on.
+  CREATE TABLE IF NOT EXISTS unmatched_titles (
+    id             SERIAL PRIMARY KEY,
+    title_key      VARCHAR(500) NOT NULL UNIQUE,
+    title          VARCHAR(500) NOT NULL,
+    learner_count  INT NOT NULL DEFAULT 0,
+    import_count   INT NOT NULL DEFAULT 1,
+    last_import_id INT REFERENCES imports(id) ON DELETE SET NULL,
+    first_seen_at  TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at   TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  -- An admin's decision for an LMS title: the course it counts as (one row per program),
+  -- or a single row with course_id NULL when the title is ignored
+  CREATE TABLE IF NOT EXISTS course_aliases (
+    id         SERIAL PRIMARY KEY,
+    title_key  VARCHAR(500) NOT NULL,
+    title      VARCHAR(500) NOT NULL,
+    course_id  INT REFERENCES courses(id) ON DELETE CASCADE,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS course_aliases_title_course_idx ON course_aliases (title_key, COALESCE(course_id, 0));
+
+  -- Columns older databases were missing
+  ALTER TABLE generated_packages ADD COLUMN IF NOT EXISTS pdf_data BYTEA;
+  ALTER TABLE students ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+`;
+
+exports.down = `
+  DROP TABLE IF EXISTS course_aliases, unmatched_titles, learner_courses, learners, centers, imports,
+    import_profiles, package_deliveries, link_requests, admin_sessions, admin_users, audit_events,
+    verification_codes, courses, subject_areas, programs, magic_tokens, generated_packages,
+    certificates, students CASCADE;
+`;
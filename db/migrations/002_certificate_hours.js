@@ -0,0 +1,9 @@
+// db/migrations/002_certificate_hours.js — Contact hours per certificate (the catalog can now vary them per course)
+
+exports.up = `
+  ALTER TABLE certificates ADD COLUMN IF NOT EXISTS hours INT DEFAULT 3;
+`;
+
+exports.down = `
+  ALTER TABLE certificates DROP COLUMN IF EXISTS hours;
+`;
@@ -0,0 +1,15 @@
+// db/migrations/003_certificate_date_sources.js — Where each printed date (cert_date) came from
+// The LMS completion date, and why they differ — 'shifted' back a day or more so no two certificates
+// share a date, or 'estimated' because the export had no completion. Certificates saved before this
+// have neither recorded.
+
+exports.up = `
+  ALTER TABLE certificates ADD COLUMN IF NOT EXISTS source_date DATE;
+  ALTER TABLE certificates ADD COLUMN IF NOT EXISTS date_adjustment VARCHAR(20)
+    CHECK (date_adjustment IN ('shifted', 'estimated'));
+`;
+
+exports.down = `
+  ALTER TABLE certificates DROP COLUMN IF EXISTS source_date;
+  ALTER TABLE certificates DROP COLUMN IF EXISTS date_adjustment;
+`;
@@ -0,0 +1,11 @@
+// db/migrations/004_program_date_policy.js — Per program, whether printed dates may be shifted or estimated
+
+exports.up = `
+  ALTER TABLE programs ADD COLUMN IF NOT EXISTS allow_shift BOOLEAN NOT NULL DEFAULT TRUE;
+  ALTER TABLE programs ADD COLUMN IF NOT EXISTS allow_estimate BOOLEAN NOT NULL DEFAULT TRUE;
+`;
+
+exports.down = `
+  ALTER TABLE programs DROP COLUMN IF EXISTS allow_shift;
+  ALTER TABLE programs DROP COLUMN IF EXISTS allow_estimate;
+`;
@@ -0,0 +1,9 @@
+// db/migrations/005_import_profile.js — Which column mapping read an import
+
+exports.up = `
+  ALTER TABLE imports ADD COLUMN IF NOT EXISTS profile_id INT REFERENCES import_profiles(id) ON DELETE SET NULL;
+`;
+
+exports.down = `
+  ALTER TABLE imports DROP COLUMN IF EXISTS profile_id;
+`;
@@ -0,0 +1,9 @@
+// db/migrations/006_package_import.js — Which CSV import a package was generated from
+
+exports.up = `
+  ALTER TABLE generated_packages ADD COLUMN IF NOT EXISTS import_id INT REFERENCES imports(id) ON DELETE SET NULL;
+`;
+
+exports.down = `
+  ALTER TABLE generated_packages DROP COLUMN IF EXISTS import_id;
+`;
@@ -0,0 +1,11 @@
+// db/migrations/007_student_trash.js — Soft delete: archived students sit in the trash until restored or purged
+
+exports.up = `
+  ALTER TABLE students ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+  ALTER TABLE students ADD COLUMN IF NOT EXISTS archived_by VARCHAR(255);
+`;
+
+exports.down = `
+  ALTER TABLE students DROP COLUMN IF EXISTS archived_at;
+  ALTER TABLE students DROP COLUMN IF EXISTS archived_by;
+`;
@@ -0,0 +1,20 @@
+// db/migrations/008_centers.js — Center membership for students and imported learners
+// Also the LMS groups a learner is in. The old free-text students.center values become centers.
+
+exports.up = `
+  ALTER TABLE students ADD COLUMN IF NOT EXISTS center_id INT REFERENCES centers(id) ON DELETE SET NULL;
+  ALTER TABLE learners ADD COLUMN IF NOT EXISTS center_id INT REFERENCES centers(id) ON DELETE SET NULL;
+  ALTER TABLE learners ADD COLUMN IF NOT EXISTS groups TEXT[] NOT NULL DEFAULT '{}';
+  INSERT INTO centers (name)
+    SELECT DISTINCT TRIM(center) FROM students WHERE center_id IS NULL AND TRIM(COALESCE(center, '')) <> ''
+    ON CONFLICT (name) DO NOTHING;
+  UPDATE students s SET center_id = ct.id FROM centers ct
+    WHERE s.center_id IS NULL AND TRIM(s.center) = ct.name;
+`;
+
+exports.down = `
+  -- Centers made from the old free-text values stay; students.center still holds the text
+  ALTER TABLE students DROP COLUMN IF EXISTS center_id;
+  ALTER TABLE learners DROP COLUMN IF EXISTS center_id;
+  ALTER TABLE learners DROP COLUMN IF EXISTS groups;
+`;
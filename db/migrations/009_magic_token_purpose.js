@@ -0,0 +1,11 @@
+// db/migrations/009_magic_token_purpose.js — What a sign-in link was sent for
+// Portal and director links share magic_tokens; a link only works for its own purpose.
+
+exports.up = `
+  ALTER TABLE magic_tokens ADD COLUMN IF NOT EXISTS purpose VARCHAR(20) NOT NULL DEFAULT 'portal';
+`;
+
+exports.down = `
+  DELETE FROM magic_tokens WHERE purpose <> 'portal';
+  ALTER TABLE magic_tokens DROP COLUMN IF EXISTS purpose;
+`;
@@ -0,0 +1,26 @@
+// db/migrations/010_pdf_storage.js — Package PDFs move to the storage backend
+// One file per distinct content hash in pdf_blobs; packages point at theirs with pdf_hash.
+// pdf_data is only still set on packages saved before this, until `npm run move-pdfs` moves them out.
+
+exports.up = `
+  CREATE TABLE IF NOT EXISTS pdf_blobs (
+    hash       CHAR(64) PRIMARY KEY,
+    backend    VARCHAR(20) NOT NULL,
+    size       INT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  );
+  ALTER TABLE generated_packages ADD COLUMN IF NOT EXISTS pdf_hash CHAR(64) REFERENCES pdf_blobs(hash);
+  CREATE INDEX IF NOT EXISTS generated_packages_pdf_hash_idx ON generated_packages (pdf_hash);
+`;
+
+exports.down = `
+  -- Packages would lose the only pointer to their stored PDF, so this refuses while any have one
+  DO $$
+  BEGIN
+    IF EXISTS (SELECT 1 FROM generated_packages WHERE pdf_hash IS NOT NULL) THEN
+      RAISE EXCEPTION 'Packages have PDFs in the storage backend; they would be lost without pdf_blobs';
+    END IF;
+  END$$;
+  ALTER TABLE generated_packages DROP COLUMN IF EXISTS pdf_hash;
+  DROP TABLE IF EXISTS pdf_blobs;
+`;
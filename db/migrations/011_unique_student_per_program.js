@@ -0,0 +1,38 @@
+// db/migrations/011_unique_student_per_program.js — One student record per name and program
+// Duplicates are merged into the most recently updated record before the constraint is added.
+
+exports.up = `
+  DO $$
+  DECLARE
+    dup RECORD;
+    keep_id INT;
+  BEGIN
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_constraint WHERE conname = 'students_name_path_unique'
+    ) THEN
+      FOR dup IN
+        SELECT name, path FROM students GROUP BY name, path HAVING COUNT(*) > 1
+      LOOP
+        SELECT id INTO keep_id FROM students
+        WHERE name = dup.name AND path = dup.path
+        ORDER BY updated_at DESC, id DESC LIMIT 1;
+
+        UPDATE certificates SET student_id = keep_id
+        WHERE student_id IN (
+          SELECT id FROM students WHERE name = dup.name AND path = dup.path AND id <> keep_id
+        );
+        UPDATE generated_packages SET student_id = keep_id
+        WHERE student_id IN (
+          SELECT id FROM students WHERE name = dup.name AND path = dup.path AND id <> keep_id
+        );
+        DELETE FROM students WHERE name = dup.name AND path = dup.path AND id <> keep_id;
+      END LOOP;
+      ALTER TABLE students ADD CONSTRAINT students_name_path_unique UNIQUE (name, path);
+    END IF;
+  END$$;
+`;
+
+exports.down = `
+  -- Records merged by the up step stay merged
+  ALTER TABLE students DROP CONSTRAINT IF EXISTS students_name_path_unique;
+`;
@@ -0,0 +1,45 @@
+// db/migrations/012_student_identity.js — Students keyed on LMS learner ID or email instead of name
+// identity_key is 'lms:<id>' or 'email:<address>' (see identity.js); name and path become attributes.
+// Existing records get their email as identity. Where several records of a program share an email,
+// only the most recently updated one takes it; the others show up in the duplicate finder.
+
+exports.up = `
+  ALTER TABLE students ADD COLUMN IF NOT EXISTS lms_id       VARCHAR(255);
+  ALTER TABLE students ADD COLUMN IF NOT EXISTS identity_key VARCHAR(300);
+
+  UPDATE students s SET identity_key = 'email:' || LOWER(TRIM(s.email))
+  FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY LOWER(TRIM(email)), path ORDER BY updated_at DESC, id DESC) AS n
+    FROM students WHERE TRIM(COALESCE(email, '')) <> ''
+  ) first
+  WHERE first.id = s.id AND first.n = 1 AND s.identity_key IS NULL;
+
+  ALTER TABLE students DROP CONSTRAINT IF EXISTS students_name_path_unique;
+  CREATE UNIQUE INDEX IF NOT EXISTS students_identity_path_unique ON students (identity_key, path) WHERE identity_key IS NOT NULL;
+  CREATE INDEX IF NOT EXISTS students_name_path ON students (LOWER(name), path);
+
+  -- Pairs the duplicate finder flagged that an admin said are two different people
+  CREATE TABLE IF NOT EXISTS student_not_duplicates (
+    student_a   INT NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    student_b   INT NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    created_by  VARCHAR(255),
+    created_at  TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (student_a, student_b),
+    CHECK (student_a < student_b)
+  );
+`;
+
+exports.down = `
+  DO $$
+  BEGIN
+    IF EXISTS (SELECT 1 FROM students GROUP BY name, path HAVING COUNT(*) > 1) THEN
+      RAISE EXCEPTION 'Some students share a name within a program — merge them before rolling back 012';
+    END IF;
+  END$$;
+  DROP TABLE IF EXISTS student_not_duplicates;
+  DROP INDEX IF EXISTS students_name_path;
+  DROP INDEX IF EXISTS students_identity_path_unique;
+  ALTER TABLE students ADD CONSTRAINT students_name_path_unique UNIQUE (name, path);
+  ALTER TABLE students DROP COLUMN IF EXISTS identity_key;
+  ALTER TABLE students DROP COLUMN IF EXISTS lms_id;
+`;
@@ -0,0 +1,31 @@
+// db/migrations/013_certificate_snapshots.js — Each package linked to the certificates it was generated from
+// A snapshot is the full certificate set of a record at generation time, stored once per distinct
+// content (content_hash) and never changed or deleted afterwards. Packages generated before this migration
+// have no snapshot: which certificates they held was not recorded.
+
+exports.up = `
+  CREATE TABLE IF NOT EXISTS certificate_snapshots (
+    id            SERIAL PRIMARY KEY,
+    content_hash  CHAR(64) NOT NULL UNIQUE,
+    certificates  JSONB NOT NULL,
+    created_at    TIMESTAMPTZ DEFAULT NOW()
+  );
+
+  CREATE OR REPLACE FUNCTION certificate_snapshots_immutable() RETURNS trigger AS $$
+  BEGIN
+    RAISE EXCEPTION 'certificate snapshots cannot be changed or deleted';
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS certificate_snapshots_no_change ON certificate_snapshots;
+  CREATE TRIGGER certificate_snapshots_no_change BEFORE UPDATE OR DELETE ON certificate_snapshots
+    FOR EACH ROW EXECUTE FUNCTION certificate_snapshots_immutable();
+
+  ALTER TABLE generated_packages ADD COLUMN IF NOT EXISTS snapshot_id INT REFERENCES certificate_snapshots(id);
+`;
+
+exports.down = `
+  ALTER TABLE generated_packages DROP COLUMN IF EXISTS snapshot_id;
+  DROP TABLE IF EXISTS certificate_snapshots;
+  DROP FUNCTION IF EXISTS certificate_snapshots_immutable();
+`;
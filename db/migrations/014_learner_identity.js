@@ -0,0 +1,25 @@
+// db/migrations/014_learner_identity.js — Imported learners keyed like student records (see identity.learnerKey)
+// learner_key becomes 'lms:<id>', 'email:<address>' or 'name:<lower-cased name>', so progress tracking and
+// center matching tell apart the same learners student records do. Existing keys were the email or the
+// name; a learner takes their LMS learner ID key the next time an export with it is imported.
+
+exports.up = `
+  ALTER TABLE learners ALTER COLUMN learner_key TYPE VARCHAR(300);
+  UPDATE learners
+  SET learner_key = CASE WHEN TRIM(COALESCE(email, '')) <> '' THEN 'email:' || LOWER(TRIM(email)) ELSE 'name:' || learner_key END
+  WHERE learner_key NOT LIKE 'lms:%' AND learner_key NOT LIKE 'email:%' AND learner_key NOT LIKE 'name:%';
+`;
+
+const oldKey = `CASE WHEN learner_key LIKE 'lms:%' THEN LOWER(TRIM(COALESCE(NULLIF(email, ''), name)))
+                ELSE SUBSTRING(learner_key FROM POSITION(':' IN learner_key) + 1) END`;
+
+exports.down = `
+  DO $$
+  BEGIN
+    IF EXISTS (SELECT 1 FROM learners GROUP BY ${oldKey} HAVING COUNT(*) > 1) THEN
+      RAISE EXCEPTION 'Some learners share an email or name — they cannot be told apart without 014';
+    END IF;
+  END$$;
+  UPDATE learners SET learner_key = ${oldKey};
+  ALTER TABLE learners ALTER COLUMN learner_key TYPE VARCHAR(255);
+`;
@@ -0,0 +1,11 @@
+// db/migrations/015_package_student_name.js — The name printed on each package
+// With the certificate snapshot (013) this tells whether a record was edited after its latest package.
+// Older packages keep NULL: the name they were printed with was not recorded.
+
+exports.up = `
+  ALTER TABLE generated_packages ADD COLUMN IF NOT EXISTS student_name VARCHAR(255);
+`;
+
+exports.down = `
+  ALTER TABLE generated_packages DROP COLUMN IF EXISTS student_name;
+`;
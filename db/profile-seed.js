@@ -0,0 +1,36 @@
+// db/profile-seed.js — Column mappings for the LMS exports the generators already understood,
+// loaded into an empty database. After that they are edited from the Imports tab.
+
+const STATUS_VALUES = {
+  completed:   ['completed', 'complete'],
+  in_progress: ['in progress', 'in_progress', 'in-progress'],
+};
+
+const PROFILES = [
+  {
+    name: 'LMS activity report',
+    columns: {
+      email: 'Email Address', firstName: 'First Name', lastName: 'Last Name', groups: 'Groups',
+      course: 'Course', status: 'Status', date: 'Date', passed: 'Passed',
+    },
+    dateFormat: 'auto',
+    statusValues: STATUS_VALUES,
+    nameFromFilename: true,
+  },
+  {
+    name: 'LMS learner course report',
+    columns: { course: 'Course Name', status: 'Status', date: 'Completed', passed: 'Quiz Score' },
+    dateFormat: 'auto',
+    statusValues: STATUS_VALUES,
+    nameFromFilename: true,
+  },
+  {
+    name: 'LMS learner course report (last activity)',
+    columns: { course: 'Course Name', status: 'Status', date: 'Last Activity', passed: 'Quiz Score' },
+    dateFormat: 'auto',
+    statusValues: STATUS_VALUES,
+    nameFromFilename: true,
+  },
+];
+
+module.exports = { PROFILES };
@@ -0,0 +1,103 @@
+// email/index.js — Renders email templates and hands them to the configured transport
+const fs         = require('fs');
+const path       = require('path');
+const transports = require('./transports');
+
+const APP_URL   = process.env.APP_URL  || 'https://cda-certificate-generator.onrender.com';
+const FROM      = process.env.EMAIL_FROM || 'mary@nationalcdatraining.com';
+const FROM_NAME = 'National CDA Training';
+const TEMPLATES = path.join(__dirname, 'templates');
+
+// EMAIL_TRANSPORT picks the backend. Without it SendGrid is used, except outside production
+// without a key, where messages go to the outbox — in production a missing key is an error when sending.
+function transportName() {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT.toLowerCase().trim();
+  return process.env.SENDGRID_API_KEY || process.env.NODE_ENV === 'production' ? 'sendgrid' : 'outbox';
+}
+if (transportName() === 'sendgrid' && !process.env.SENDGRID_API_KEY) {
+  console.warn('⚠ SENDGRID_API_KEY is not set — portal links and notification emails cannot be sent.');
+}
+
+let transport = null;
+function getTransport() {
+  if (transport) return transport;
+  const name = transportName();
+  if (name === 'sendgrid') {
+    transport = transports.sendgrid({ apiKey: process.env.SENDGRID_API_KEY });
+  } else if (name === 'smtp') {
+    transport = transports.smtp({
+      host:   process.env.SMTP_HOST,
+      port:   parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user:   process.env.SMTP_USER,
+      pass:   process.env.SMTP_PASS,
+    });
+  } else if (name === 'outbox') {
+    if (process.env.NODE_ENV === 'production') console.warn('⚠ EMAIL_TRANSPORT is outbox — emails are written to disk, not sent.');
+    transport = transports.outbox({ dir: path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox') });
+  } else {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" — use sendgrid, smtp or outbox.`);
+  }
+  return transport;
+}
+
+// ── TEMPLATES ─────────────────────────────────────────────────
+// templates/<name>.html is required and its <title> is the subject line;
+// templates/<name>.txt is an optional plain-text version. {{key}} is replaced with vars[key].
+
+const escHtml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function fill(template, vars, escape) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => {
+    const v = vars[key] === undefined || vars[key] === null ? '' : vars[key];
+    return escape ? escHtml(v) : String(v);
+  });
+}
+
+function render(name, vars) {
+  const html    = fs.readFileSync(path.join(TEMPLATES, name + '.html'), 'utf8');
+  const txtPath = path.join(TEMPLATES, name + '.txt');
+  const title   = html.match(/<title>([\s\S]*?)<\/title>/i);
+  return {
+    subject: fill(title ? title[1].trim() : name, vars, false),
+    html:    fill(html, vars, true),
+    text:    fs.existsSync(txtPath) ? fill(fs.readFileSync(txtPath, 'utf8'), vars, false) : undefined,
+  };
+}
+
+// attachments = [{ filename, content: Buffer, contentType }]
+async function send(to, templateName, vars, attachments) {
+  const msg = { to, from: FROM, fromName: FROM_NAME, ...render(templateName, vars), attachments };
+  await getTransport()(msg);
+  console.log(`Email "${templateName}" sent to ${to} via ${transportName()}`);
+}
+
+// ── MESSAGES ──────────────────────────────────────────────────
+
+async function sendMagicLink(toEmail, token, studentName) {
+  await send(toEmail, 'magic-link', {
+    firstName: studentName ? studentName.split(' ')[0] : 'there',
+    link:      `${APP_URL}/portal?token=${token}`,
+  });
+}
+
+// Sign-in link for a center director; centers = names of the centers they look after
+async function sendDirectorLink(toEmail, token, directorName, centers) {
+  await send(toEmail, 'director-link', {
+    firstName: directorName ? directorName.split(' ')[0] : 'there',
+    centers:   centers.join(', '),
+    link:      `${APP_URL}/director?token=${token}`,
+  });
+}
+
+// Tells a student their package is ready; pdf = { filename, content } attaches it
+async function sendPackageReady(toEmail, student, pdf) {
+  await send(toEmail, 'package-ready', {
+    firstName:      student.name ? student.name.split(' ')[0] : 'there',
+    pathLabel:      student.path_label || 'CDA Training',
+    link:           `${APP_URL}/portal`,
+    attachmentNote: pdf ? 'Your certificate package is also attached to this email as a PDF.' : '',
+  }, pdf ? [{ filename: pdf.filename, content: pdf.content, contentType: 'application/pdf' }] : undefined);
+}
+
+module.exports = { send, render, sendMagicLink, sendDirectorLink, sendPackageReady };
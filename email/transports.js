@@ -0,0 +1,94 @@
+// email/transports.js — Delivery backends. Each one takes a rendered message
+// { to, from, fromName, subject, html, text, attachments? } and resolves once it is handed off.
+// attachments = [{ filename, content: Buffer, contentType }]
+const fs   = require('fs');
+const path = require('path');
+
+// ── SENDGRID (REST API) ───────────────────────────────────────
+
+function sendgrid({ apiKey }) {
+  if (!apiKey) throw new Error('SENDGRID_API_KEY is not set.');
+  return async msg => {
+    const payload = {
+      personalizations: [{ to: [{ email: msg.to }] }],
+      from: { email: msg.from, name: msg.fromName },
+      reply_to: { email: msg.from },
+      subject: msg.subject,
+      content: [
+        ...(msg.text ? [{ type: 'text/plain', value: msg.text }] : []),
+        { type: 'text/html', value: msg.html },
+      ],
+    };
+    if (msg.attachments) {
+      payload.attachments = msg.attachments.map(a => ({
+        filename:    a.filename,
+        type:        a.contentType,
+        content:     Buffer.from(a.content).toString('base64'),
+        disposition: 'attachment',
+      }));
+    }
+
+    const res = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      console.error('SendGrid status:', res.status);
+      console.error('SendGrid errors:', JSON.stringify(body.errors, null, 2));
+      throw new Error(`SendGrid ${res.status}: ${JSON.stringify(body.errors)}`);
+    }
+  };
+}
+
+// ── SMTP ──────────────────────────────────────────────────────
+
+function smtp({ host, port, secure, user, pass }) {
+  if (!host) throw new Error('SMTP_HOST is not set.');
+  const nodemailer  = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+  return async msg => {
+    await transporter.sendMail({
+      from:    { address: msg.from, name: msg.fromName },
+      replyTo: msg.from,
+      to:      msg.to,
+      subject: msg.subject,
+      text:    msg.text,
+      html:    msg.html,
+      attachments: msg.attachments,
+    });
+  };
+}
+
+// ── OUTBOX (development and tests) ────────────────────────────
+// Writes each message to <dir>/<timestamp>-<recipient>.json instead of sending it;
+// attachments are saved next to it as <timestamp>-<recipient>-<filename>
+
+function outbox({ dir }) {
+  return async msg => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const base  = path.join(dir, `${stamp}-${msg.to.replace(/[^a-z0-9@._-]/gi, '_')}`);
+    const file  = base + '.json';
+    const attachments = [];
+    for (const a of msg.attachments || []) {
+      const saved = `${base}-${a.filename.replace(/[^a-z0-9._-]/gi, '_')}`;
+      await fs.promises.writeFile(saved, a.content);
+      attachments.push({ filename: a.filename, contentType: a.contentType, size: a.content.length, file: saved });
+    }
+    await fs.promises.writeFile(file, JSON.stringify({ ...msg, attachments, queuedAt: new Date().toISOString() }, null, 2));
+    console.log(`📥 Email to ${msg.to} written to ${file}`);
+  };
+}
+
+module.exports = { sendgrid, smtp, outbox };
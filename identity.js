@@ -0,0 +1,93 @@
+// identity.js — Which person a student record belongs to, and which records are probably the same person
+// A record is one person in one program. It is keyed on the LMS learner ID when the export has one,
+// otherwise on the email; the name is only an attribute, so two people called the same stay apart
+// and a corrected name updates the record instead of starting a new one.
+
+// students.identity_key for a learner: 'lms:<id>', 'email:<address>', or null when there is neither
+function identityKey({ lmsId, email }) {
+  const id = String(lmsId || '').trim();
+  if (id) return `lms:${id}`;
+  const address = String(email || '').toLowerCase().trim();
+  return address ? `email:${address}` : null;
+}
+
+// learners.learner_key for an imported learner or a saved package: the identity key, else 'name:<lower-cased name>'.
+// The SQL counterpart for a student record is COALESCE(identity_key, 'name:' || LOWER(TRIM(name))).
+function learnerKey(l) {
+  return identityKey(l) || `name:${String(l.name || '').toLowerCase().trim()}`;
+}
+
+// Lower case letters and single spaces, accents removed ("José  Núñez-Ruiz" → "jose nunez ruiz")
+function normalizeName(s) {
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+}
+
+// Levenshtein distance between a and b, or max + 1 as soon as it is certain to be larger than max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...row) > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Why two records in the same program look like one person, strongest first
+const REASONS = ['same email', 'same name', 'same name, reordered', 'similar name'];
+const TYPO_DISTANCE = 2; // names this close (and at least MIN_TYPO_LENGTH long) count as a typo
+const MIN_TYPO_LENGTH = 6;
+
+function reasonsFor(a, b) {
+  const reasons = [];
+  const ea = (a.email || '').toLowerCase().trim(), eb = (b.email || '').toLowerCase().trim();
+  if (ea && ea === eb) reasons.push('same email');
+  const na = normalizeName(a.name), nb = normalizeName(b.name);
+  if (na && na === nb) reasons.push('same name');
+  else if (na && na.split(' ').sort().join(' ') === nb.split(' ').sort().join(' ')) reasons.push('same name, reordered');
+  // A name typo and a different email as well is more likely two people
+  else if ((!ea || !eb || ea === eb) &&
+           Math.min(na.length, nb.length) >= MIN_TYPO_LENGTH && editDistance(na, nb, TYPO_DISTANCE) <= TYPO_DISTANCE) {
+    reasons.push('similar name');
+  }
+  return reasons;
+}
+
+/**
+ * Pairs of records in the same program that are probably one person, strongest reason first.
+ * students  = [{ id, name, email, lms_id, path }]
+ * dismissed = pairs an admin marked as different people: [{ student_a, student_b }]
+ * → [{ a, b, reasons: [...REASONS] }] with a and b the student objects, a the lower id
+ * Records with two different LMS learner IDs are never paired — the LMS already tells them apart.
+ */
+function likelyDuplicates(students, dismissed = []) {
+  const skip = new Set(dismissed.map(d => `${Math.min(d.student_a, d.student_b)}-${Math.max(d.student_a, d.student_b)}`));
+  const byPath = new Map();
+  students.forEach(s => {
+    if (!byPath.has(s.path)) byPath.set(s.path, []);
+    byPath.get(s.path).push(s);
+  });
+
+  const pairs = [];
+  byPath.forEach(group => {
+    group.sort((x, y) => x.id - y.id);
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const a = group[i], b = group[j];
+        if (a.lms_id && b.lms_id && a.lms_id !== b.lms_id) continue;
+        if (skip.has(`${a.id}-${b.id}`)) continue;
+        const reasons = reasonsFor(a, b);
+        if (reasons.length) pairs.push({ a, b, reasons });
+      }
+    }
+  });
+  const strength = p => Math.min(...p.reasons.map(r => REASONS.indexOf(r)));
+  return pairs.sort((x, y) => strength(x) - strength(y) || normalizeName(x.a.name).localeCompare(normalizeName(y.a.name)));
+}
+
+module.exports = { identityKey, learnerKey, normalizeName, editDistance, likelyDuplicates, REASONS };
@@ -0,0 +1,223 @@
+// importer.js — Parses LMS activity exports on the server and matches them to the course catalog
+// Used by POST /api/imports for both the single-learner and the batch generator.
+// Which column holds what, how dates are written and what the statuses say comes from
+// a column-mapping profile (import_profiles), so new export formats need no code changes.
+const Papa    = require('papaparse');
+const matcher = require('./matcher');
+
+// Fields a profile can map a column to; course, status and date are required
+const FIELDS = ['learnerId', 'email', 'firstName', 'lastName', 'fullName', 'groups', 'course', 'status', 'date', 'passed'];
+const REQUIRED_FIELDS = ['course', 'status', 'date'];
+const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+// Titles every export carries that are not catalog courses.
+// Anything else that should be skipped is ignored through an alias from the review queue.
+const IGNORED_TITLES = ['cda introduction', '120 clock hours'];
+
+// Also the key course_aliases and unmatched_titles store titles under
+const norm = s => String(s || '').toLowerCase().replace(/[–—]/g, '-').replace(/\s+/g, ' ').trim();
+
+// ── PROFILES ──────────────────────────────────────────────────
+// profile = { id, name, columns: { <field>: 'Header' }, dateFormat,
+//             statusValues: { completed: [...], in_progress: [...] }, nameFromFilename }
+
+// Returns an error message, or null when the profile is usable
+function validateProfile(p) {
+  if (!p || !String(p.name || '').trim()) return 'Name is required';
+  const cols = p.columns || {};
+  const missing = REQUIRED_FIELDS.filter(f => !String(cols[f] || '').trim());
+  if (missing.length) return `Columns required for: ${missing.join(', ')}`;
+  if (!cols.email && !cols.firstName && !cols.lastName && !cols.fullName && !p.nameFromFilename) {
+    return 'Map an email or name column, or take the name from the file name';
+  }
+  if (!DATE_FORMATS.includes(p.dateFormat)) return `Date format must be one of ${DATE_FORMATS.join(', ')}`;
+  if (!(p.statusValues && (p.statusValues.completed || []).length)) return 'List at least one "completed" status value';
+  return null;
+}
+
+// The profile whose required columns are all present and that maps the most headers in the file
+function detectProfile(headers, profiles) {
+  const have = new Set(headers.map(h => norm(h)));
+  let best = null, bestScore = 0;
+  profiles.forEach(p => {
+    const mapped = FIELDS.map(f => p.columns[f]).filter(Boolean);
+    if (!REQUIRED_FIELDS.every(f => have.has(norm(p.columns[f])))) return;
+    const score = mapped.filter(h => have.has(norm(h))).length;
+    if (score > bestScore) { best = p; bestScore = score; }
+  });
+  return best;
+}
+
+// Value of a mapped field in a row (headers compared case-insensitively)
+function field(row, headerIndex, profile, name) {
+  const header = headerIndex.get(norm(profile.columns[name]));
+  const v = header === undefined ? '' : row[header];
+  return v === undefined || v === null ? '' : String(v).trim();
+}
+
+// Reads a date written in the profile's format → YYYY-MM-DD (null if unreadable).
+// auto accepts 2024-05-03, 2024-05-03 10:22:00, 5/3/2024 or anything Date understands.
+function parseDate(s, format = 'auto') {
+  if (!s) return null;
+  const pad = n => String(n).padStart(2, '0');
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m && (format === 'auto' || format === 'YYYY-MM-DD')) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  if (m && (format === 'auto' || format === 'MM/DD/YYYY')) return `${m[3]}-${pad(m[1])}-${pad(m[2])}`;
+  if (m && format === 'DD/MM/YYYY') return `${m[3]}-${pad(m[2])}-${pad(m[1])}`;
+  if (format !== 'auto') return null;
+  const d = new Date(s);
+  return isNaN(d) ? null : d.toISOString().slice(0, 10);
+}
+
+// Profile status values → completed / in_progress; any other non-empty status counts as started
+function normStatus(s, profile) {
+  const v = norm(s);
+  if (!v) return '';
+  const is = key => (profile.statusValues[key] || []).some(x => norm(x) === v);
+  if (is('completed')) return 'completed';
+  if (is('in_progress')) return 'in_progress';
+  return 'started';
+}
+const STATUS_RANK = { completed: 2, in_progress: 1, started: 0 };
+
+// Some single-learner exports have no name columns but are named firstname-lastname-report-….csv
+function nameFromFilename(filename) {
+  const m = String(filename || '').match(/^([a-zA-Z]+)-([a-zA-Z]+)-report/i);
+  const cap = s => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+  return m ? `${cap(m[1])} ${cap(m[2])}` : '';
+}
+
+// course_aliases rows → Map(title key → { ignored, courseIds })
+function aliasMap(aliases) {
+  const map = new Map();
+  (aliases || []).forEach(a => {
+    if (!map.has(a.title_key)) map.set(a.title_key, { ignored: false, courseIds: new Set() });
+    if (a.course_id === null) map.get(a.title_key).ignored = true;
+    else map.get(a.title_key).courseIds.add(a.course_id);
+  });
+  return map;
+}
+
+// Programs come from the learner's LMS groups; no recognised group means Preschool
+function pathsFor(groups) {
+  const pre = groups.some(g => /preschool cda/i.test(g));
+  const inf = groups.some(g => /infant.*toddler/i.test(g));
+  return [...(pre || !inf ? ['pre'] : []), ...(inf ? ['inf'] : [])];
+}
+
+// ── PARSING ───────────────────────────────────────────────────
+
+// { headers, rows } — rows keyed by header
+function readCSV(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+  return { headers: parsed.meta.fields || [], rows: parsed.data };
+}
+
+/**
+ * Parses an export read by readCSV with the given profile and matches every learner's
+ * activity against each catalog program (see matcher.assign). A title with an alias (see
+ * db.getCourseAliases) only counts as the courses it was mapped to, or is ignored; it is not scored.
+ * Returns {
+ *   rowCount,
+ *   learners:  [{ name, email, lmsId, groups, paths, activities: [{ title, status, date, passed }],
+ *                 programs: { <code>: [{ courseId, course, area, hours, title, date, status, passed,
+ *                                        score, confidence, alternatives }] } }],
+ *   unmatched: [{ key, title, learners }] — titles no catalog course matches, with how many learners have them
+ *   skipped:   [{ line, reason }]  — rows that could not be used (line = line number in the file), and
+ *              learners with an LMS ID but no name or email (line = their first row)
+ *   ignored:   number of rows for titles in IGNORED_TITLES
+ * }
+ */
+function parseExport(csv, filename, catalog, profile, aliases) {
+  const alias        = aliasMap(aliases);
+  const headerIndex  = new Map(csv.headers.map(h => [norm(h), h]));
+  const get          = (row, name) => field(row, headerIndex, profile, name);
+  const fallbackName = profile.nameFromFilename ? nameFromFilename(filename) : '';
+
+  const learners = new Map();
+  const skipped  = [];
+  let ignored = 0;
+
+  csv.rows.forEach((row, i) => {
+    const line    = i + 2; // header is line 1
+    const lmsId   = get(row, 'learnerId');
+    const email   = get(row, 'email').toLowerCase();
+    const name    = get(row, 'fullName') || `${get(row, 'firstName')} ${get(row, 'lastName')}`.trim() || fallbackName;
+    const title   = get(row, 'course');
+    const status  = normStatus(get(row, 'status'), profile);
+    const rawDate = get(row, 'date');
+
+    if (!lmsId && !email && !name) return skipped.push({ line, reason: 'No learner ID, email or name' });
+    if (!title)  return skipped.push({ line, reason: 'No course title' });
+    if (IGNORED_TITLES.some(t => norm(title).includes(t)) || alias.get(norm(title))?.ignored) { ignored++; return; }
+    if (!status) return skipped.push({ line, reason: 'No status' });
+    const date = parseDate(rawDate, profile.dateFormat);
+    if (!date)   return skipped.push({ line, reason: rawDate ? `Unreadable date "${rawDate}"` : 'No date' });
+
+    // The LMS learner ID is the surest way to tell two learners apart; two with the same name stay separate
+    const key = lmsId ? `id:${lmsId}` : email || norm(name);
+    if (!learners.has(key)) learners.set(key, { line, name, email, lmsId, groups: new Set(), titles: new Map() });
+    const l = learners.get(key);
+    if (!l.name && name) l.name = name;
+    if (!l.email && email) l.email = email;
+    get(row, 'groups').split(',').map(g => g.trim()).filter(Boolean).forEach(g => l.groups.add(g));
+
+    // One activity per title: keep the best status, and the newest date at that status
+    const passed = get(row, 'passed') || 'true';
+    const a = l.titles.get(title);
+    if (!a || STATUS_RANK[status] > STATUS_RANK[a.status] || (status === a.status && date > a.date)) {
+      l.titles.set(title, { title, status, date, passed });
+    }
+  });
+
+  const pinned = title => alias.has(norm(title)) ? alias.get(norm(title)).courseIds : null;
+
+  // A learner known only by an LMS ID would get a package with no name on it
+  const named = [...learners.values()].filter(l => {
+    if (l.name || l.email) return true;
+    skipped.push({ line: l.line, reason: `No learner name for learner ID ${l.lmsId}` });
+    return false;
+  });
+  skipped.sort((a, b) => a.line - b.line);
+
+  const out = named.map(l => {
+    const activities = [...l.titles.values()];
+    const programs = {};
+    catalog.programs.forEach(p => {
+      const assigned = matcher.assign(activities, p.courses, pinned);
+      programs[p.code] = p.courses.filter(c => assigned.has(c.id)).map(c => {
+        const { activity: a, score, confidence, alternatives } = assigned.get(c.id);
+        return {
+          courseId: c.id, course: c.name, area: c.area, hours: c.hours,
+          title: a.title, date: a.date, status: a.status, passed: a.passed,
+          score, confidence, alternatives,
+        };
+      });
+    });
+    const groups = [...l.groups];
+    return { name: l.name || l.email, email: l.email, lmsId: l.lmsId || null, groups, paths: pathsFor(groups), activities, programs };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  const known = title => pinned(title)
+    ? pinned(title).size > 0
+    : catalog.programs.some(p => matcher.rankCourses(title, p.courses).length > 0);
+  const unmatched = new Map();
+  out.forEach(l => l.activities.forEach(a => {
+    if (known(a.title)) return;
+    const u = unmatched.get(norm(a.title)) || { key: norm(a.title), title: a.title, learners: 0 };
+    u.learners++;
+    unmatched.set(u.key, u);
+  }));
+
+  return {
+    rowCount:  csv.rows.length,
+    learners:  out,
+    unmatched: [...unmatched.values()].sort((a, b) => b.learners - a.learners),
+    skipped,
+    ignored,
+  };
+}
+
+module.exports = { FIELDS, DATE_FORMATS, validateProfile, detectProfile, readCSV, parseExport };
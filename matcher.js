@@ -0,0 +1,104 @@
+// matcher.js — Scores LMS course titles against the catalog and assigns each title to at most one course
+// Short keywords ('language', 'guidance', 'reporting') show up inside other courses' titles, so a title
+// is scored against every course and the best-scoring pairs win instead of the first keyword hit.
+
+const MIN_SCORE        = 0.55; // below this a course is not a candidate at all
+const CONFIDENT        = 0.75; // assigned matches below this are reported as low confidence
+const AMBIGUITY_MARGIN = 0.1;  // top two candidates closer than this are reported as ambiguous
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'in', 'for', 'of', 'to', 'with', 'on', 'from']);
+
+// Lower case, no punctuation, without the "- 3 clock hours" suffix the LMS adds to titles
+function normalize(s) {
+  return String(s || '').toLowerCase()
+    .replace(/\s*[-–—]?\s*\d+\s*clock\s*hours?\b.*$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const tokens = s => normalize(s).split(' ').filter(t => t && !STOPWORDS.has(t));
+
+// Overlap of two token lists, 0..1
+function dice(a, b) {
+  const A = new Set(a), B = new Set(b);
+  if (!A.size || !B.size) return 0;
+  let both = 0;
+  A.forEach(t => { if (B.has(t)) both++; });
+  return (2 * both) / (A.size + B.size);
+}
+
+/**
+ * How well an LMS title fits a course, 0..1.
+ * 1 for the course name itself. A keyword found as whole words scores 0.6 plus up to 0.4 for
+ * how much of the title it covers, so 'preschool dual language' beats 'language' for
+ * "Preschool Technology and Dual Language". Otherwise the word overlap with the course name.
+ */
+function scoreCourse(title, course) {
+  const t = normalize(title);
+  if (!t) return 0;
+  if (t === normalize(course.name)) return 1;
+  const titleTokens = tokens(title);
+  let best = 0;
+  (course.keywords || []).forEach(k => {
+    const kw = normalize(k);
+    if (!kw || !(` ${t} `.includes(` ${kw} `) || ` ${t} `.includes(` ${kw}s `))) return;
+    const cover = Math.min(1, tokens(k).length / Math.max(1, titleTokens.length));
+    best = Math.max(best, 0.6 + 0.4 * cover);
+  });
+  return Math.round(Math.max(best, dice(titleTokens, tokens(course.name))) * 100) / 100;
+}
+
+// Courses the title could be, best first: [{ course, score }]
+function rankCourses(title, courses) {
+  return courses
+    .map(course => ({ course, score: scoreCourse(title, course) }))
+    .filter(c => c.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Assigns titles to one program's courses. Every title gets at most one course and every
+ * course at most one title; the highest-scoring pairs are taken first, and between equal
+ * scores the activity with the better status, then the newer date, wins.
+ * activities = [{ title, status, date, ... }]
+ * pinned     = optional title → Set(courseId) from admin aliases; those titles skip scoring
+ * Returns Map(courseId → { activity, score, confidence, alternatives: [{ courseId, course, score }] })
+ * with confidence 'alias', 'high', 'low' (score under CONFIDENT) or 'ambiguous' (another course
+ * scored within AMBIGUITY_MARGIN of the best one).
+ */
+function assign(activities, courses, pinned = () => null) {
+  const RANK = { completed: 2, in_progress: 1, started: 0 };
+  const pairs = [];
+  activities.forEach(activity => {
+    const ids = pinned(activity.title);
+    if (ids) {
+      courses.filter(c => ids.has(c.id)).forEach(course => pairs.push({ activity, course, score: 1, ranked: null }));
+      return;
+    }
+    const ranked = rankCourses(activity.title, courses);
+    ranked.forEach(({ course, score }) => pairs.push({ activity, course, score, ranked }));
+  });
+  pairs.sort((a, b) => b.score - a.score ||
+    (RANK[b.activity.status] || 0) - (RANK[a.activity.status] || 0) ||
+    String(b.activity.date).localeCompare(String(a.activity.date)));
+
+  const used = new Set();
+  const out  = new Map();
+  pairs.forEach(p => {
+    if (out.has(p.course.id) || used.has(p.activity)) return;
+    used.add(p.activity);
+    const top = p.ranked && p.ranked[0].score;
+    const alternatives = (p.ranked || [])
+      .filter(r => r.course.id !== p.course.id && Math.round((top - r.score) * 100) < AMBIGUITY_MARGIN * 100)
+      .map(r => ({ courseId: r.course.id, course: r.course.name, score: r.score }));
+    out.set(p.course.id, {
+      activity: p.activity,
+      score: p.score,
+      confidence: !p.ranked ? 'alias' : alternatives.length ? 'ambiguous' : p.score < CONFIDENT ? 'low' : 'high',
+      alternatives,
+    });
+  });
+  return out;
+}
+
+module.exports = { MIN_SCORE, CONFIDENT, AMBIGUITY_MARGIN, normalize, scoreCourse, rankCourses, assign };
@@ -0,0 +1,240 @@
+// pdf.js — Server-side rendering of the cover, transcript and certificate pages
+// One copy of the layout, shared by the single generator, the batch generator and re-renders.
+const fs   = require('fs');
+const path = require('path');
+const { jsPDF } = require('jspdf');
+const QRCode    = require('qrcode');
+
+const W = 792, H = 612; // US Letter, landscape, in points
+
+const CONTRIB = `This 120-hour CDA Training Program was developed by National CDA Training to prepare early childhood professionals for the Child Development Associate (CDA) credential through scenario-based, practice-driven instruction.
+
+Contributors:
+
+Susan Rodenbur — Program Director for a NAEYC Accredited Child Care Program. Susan developed goals for teaching behaviors based on NAEYC materials. These behaviors form the foundation for the scenario-based training. Each class includes 30-60 goals designed to help teachers develop skills and become more effective educators.
+
+Kelly Burlison, BA in Early Childhood Education — Co-Contributor for the scenario-based training.
+
+Dr. Lilla Dale McManis, PhD — Psychologist with expertise in education and learning, child development, parenting, social-emotional wellness, and technology. Editor for the scenario-based training, ensuring each scenario is grounded in early childhood best practices.
+
+Mary Wardlaw, Educational Specialist in Early Childhood — President and Co-Contributor for the scenario-based training.
+
+Celeste Glenn — Developer of the delivery for the content.
+
+National CDA Training | Michigan Child Care Training
+4775 Erie Drive, Buchanan, MI 49107 | Phone: 866-726-3056 | Email: Mary@NationalCDATraining.com`;
+
+// Logo and signature are read once and reused for every page
+let ASSETS = null;
+function loadAssets() {
+  if (ASSETS) return ASSETS;
+  const dir  = path.join(__dirname, 'assets');
+  const read = file => {
+    try { return fs.readFileSync(path.join(dir, file)); } catch (e) { return null; }
+  };
+  ASSETS = { logo: read('logo.jpeg'), signature: read('signature.jpeg') };
+  return ASSETS;
+}
+
+// Accepts a 'YYYY-MM-DD' string or a Date from a pg DATE column
+function isoDate(d) {
+  if (!d) return '';
+  if (d instanceof Date) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+  return String(d).slice(0, 10);
+}
+
+function fmtDate(iso) {
+  if (!iso) return '';
+  const [y,m,d] = iso.split('-');
+  const MO = ['January','February','March','April','May','June','July','August','September','October','November','December'];
+  return `${MO[+m-1]} ${+d}, ${y}`;
+}
+
+// ── VERIFICATION ──────────────────────────────────────────────
+// QR code drawn as vector squares (runs of dark modules per row), on a white square with a 2-module margin
+function drawQR(doc,text,x,y,size){
+  const m=QRCode.create(text,{errorCorrectionLevel:"M"}).modules;
+  const cell=size/(m.size+4);
+  doc.setFillColor(255,255,255);doc.rect(x,y,size,size,"F");
+  doc.setFillColor(0,0,0);
+  for(let r=0;r<m.size;r++){
+    for(let c=0;c<m.size;c++){
+      if(!m.get(r,c))continue;
+      let run=1;while(c+run<m.size&&m.get(r,c+run))run++;
+      doc.rect(x+(c+2)*cell,y+(r+2)*cell,run*cell,cell,"F");
+      c+=run-1;
+    }
+  }
+}
+const shortUrl=url=>url.replace(/^https?:\/\//,"");
+
+// ── COVER ─────────────────────────────────────────────────────
+function drawCover(doc,pkg){
+  const {logo}=loadAssets();
+  doc.setFillColor(255,255,255);doc.rect(0,0,W,H,"F");
+  doc.setDrawColor(26,39,68);doc.setLineWidth(7);doc.rect(11,11,W-22,H-22);
+  doc.setDrawColor(201,168,76);doc.setLineWidth(2);doc.rect(18,18,W-36,H-36);
+  if(logo){try{doc.addImage(logo,"JPEG",W/2-110,22,220,62,"logo");}catch(e){}}
+  doc.setFillColor(26,39,68);doc.rect(18,88,W-36,68,"F");
+  doc.setFontSize(22);doc.setFont("helvetica","bold");doc.setTextColor(201,168,76);
+  doc.text(pkg.programHours+"-HOUR CDA TRAINING PROGRAM",W/2,120,{align:"center"});
+  doc.setFontSize(13);doc.setTextColor(232,213,163);
+  doc.text(pkg.pathLabel,W/2,150,{align:"center"});
+  doc.setDrawColor(201,168,76);doc.setLineWidth(1.5);doc.line(50,168,W-50,168);
+  doc.setFontSize(10);doc.setFont("helvetica","bold");doc.setTextColor(100,100,100);
+  doc.text("Prepared for:",W/2,186,{align:"center"});
+  doc.setFontSize(22);doc.setTextColor(26,39,68);
+  doc.text(pkg.name,W/2,212,{align:"center"});
+  doc.setFontSize(9);doc.setFont("helvetica","normal");doc.setTextColor(60,60,60);
+  const cl=doc.splitTextToSize(CONTRIB,W-120);
+  doc.text(cl.slice(0,22),60,232);
+  doc.setFillColor(26,39,68);doc.rect(18,H-36,W-36,18,"F");
+  doc.setFontSize(8);doc.setTextColor(201,168,76);
+  doc.text("National CDA Training  |  866-726-3056  |  Mary@NationalCDATraining.com  |  4775 Erie Drive, Buchanan, MI 49107",W/2,H-24,{align:"center"});
+}
+
+// ── TRANSCRIPT ────────────────────────────────────────────────
+function drawTranscript(doc,pkg){
+  const rows=pkg.rows;
+  const totalHrs=rows.reduce((t,r)=>t+r.hours,0);
+  doc.setFillColor(255,255,255);doc.rect(0,0,W,H,"F");
+  doc.setDrawColor(41,98,163);doc.setLineWidth(7);doc.rect(11,11,W-22,H-22);
+  doc.setDrawColor(201,168,76);doc.setLineWidth(2);doc.rect(18,18,W-36,H-36);
+  doc.setFillColor(26,39,68);doc.rect(18,18,W-36,62,"F");
+  doc.setFontSize(18);doc.setFont("helvetica","bold");doc.setTextColor(201,168,76);
+  doc.text("OFFICIAL TRAINING TRANSCRIPT",W/2,46,{align:"center"});
+  doc.setFontSize(9);doc.setTextColor(232,213,163);
+  doc.text("National CDA Training  |  Michigan Child Care Training  |  4775 Erie Drive, Buchanan, MI 49107  |  866-726-3056",W/2,66,{align:"center"});
+  doc.setFillColor(245,242,235);doc.roundedRect(26,90,W-52,34,4,4,"F");
+  doc.setDrawColor(201,168,76);doc.setLineWidth(1);doc.roundedRect(26,90,W-52,34,4,4,"S");
+  doc.setFontSize(10);doc.setFont("helvetica","bold");doc.setTextColor(26,39,68);
+  doc.text("Learner: "+pkg.name,40,106);
+  doc.text("Program: "+pkg.pathLabel,40,120);
+  doc.setFont("helvetica","normal");
+  doc.text("Total Hours: "+totalHrs+"  |  Courses: "+rows.length+"  |  Generated: "+fmtDate(isoDate(pkg.generatedAt)),W-40,106,{align:"right"});
+  if(pkg.code){
+    const url=pkg.verifyUrl(pkg.code);
+    drawQR(doc,url,W-78,21,56);
+    doc.setFontSize(8.5);doc.setTextColor(26,39,68);
+    doc.text("Package ID: "+pkg.code+"  |  Verify at "+shortUrl(url),W-40,120,{align:"right"});
+  }
+  const cw=[26,280,220,44,118];
+  const hds=["#","Course Title","CDA Subject Area","Hrs","Date"];
+  let ty=134;
+  doc.setFillColor(26,39,68);doc.rect(26,ty,W-52,16,"F");
+  doc.setFontSize(7.5);doc.setFont("helvetica","bold");doc.setTextColor(255,255,255);
+  let tx=26;hds.forEach((h,i)=>{doc.text(h,tx+3,ty+11);tx+=cw[i];});ty+=16;
+  doc.setFont("helvetica","normal");
+  rows.forEach((r,i)=>{
+    if(ty>H-50){
+      doc.addPage();doc.setFillColor(255,255,255);doc.rect(0,0,W,H,"F");
+      doc.setFillColor(26,39,68);doc.rect(26,28,W-52,16,"F");
+      doc.setFont("helvetica","bold");doc.setTextColor(255,255,255);doc.setFontSize(7.5);
+      tx=26;hds.forEach((h,j)=>{doc.text(h,tx+3,39);tx+=cw[j];});ty=44;doc.setFont("helvetica","normal");
+    }
+    doc.setFillColor(i%2===0?248:255,i%2===0?246:255,i%2===0?240:255);
+    doc.rect(26,ty,W-52,14,"F");doc.setTextColor(50,50,50);
+    tx=26;
+    [String(i+1),r.course,r.area||"",String(r.hours),fmtDate(r.date)].forEach((c,ci)=>{
+      doc.text(doc.splitTextToSize(c,cw[ci]-5)[0],tx+3,ty+10);tx+=cw[ci];
+    });
+    doc.setDrawColor(215,210,200);doc.setLineWidth(.4);doc.line(26,ty+14,W-26,ty+14);ty+=14;
+  });
+  doc.setFillColor(26,39,68);doc.rect(26,ty,W-52,18,"F");
+  doc.setFontSize(10);doc.setFont("helvetica","bold");doc.setTextColor(201,168,76);
+  doc.text("TOTAL: "+totalHrs+" CONTACT HOURS  —  "+rows.length+" COURSES COMPLETED",W/2,ty+13,{align:"center"});
+}
+
+// ── CERTIFICATE ───────────────────────────────────────────────
+function drawCert(doc,pkg,row){
+  const {logo,signature}=loadAssets();
+  doc.setFillColor(255,255,255);doc.rect(0,0,W,H,"F");
+  doc.setDrawColor(30,100,180);doc.setLineWidth(10);doc.rect(12,12,W-24,H-24);
+  doc.setDrawColor(220,100,30);doc.setLineWidth(2.5);doc.rect(21,21,W-42,H-42);
+  doc.setDrawColor(60,150,80);doc.setLineWidth(1.2);doc.rect(25,25,W-50,H-50);
+  let y=32;
+  if(logo){try{doc.addImage(logo,"JPEG",W/2-130,y,260,70,"logo");}catch(e){}}
+  y+=82;
+  doc.setFillColor(30,100,180);doc.rect(25,y,W-50,54,"F");
+  doc.setFontSize(26);doc.setFont("helvetica","bold");doc.setTextColor(255,255,255);
+  doc.text("CERTIFICATE OF COMPLETION",W/2,y+22,{align:"center"});
+  doc.setFontSize(10);doc.setTextColor(255,200,100);
+  doc.text(pkg.programHours+"-HOUR CDA TRAINING PROGRAM  |  "+pkg.pathLabel.toUpperCase(),W/2,y+44,{align:"center"});
+  y+=62;
+  doc.setFontSize(10);doc.setFont("helvetica","italic");doc.setTextColor(100,100,100);
+  doc.text("This certifies that",W/2,y+14,{align:"center"});y+=20;
+  doc.setFontSize(42);doc.setFont("helvetica","normal");doc.setTextColor(30,100,180);
+  doc.text(pkg.name,W/2,y+34,{align:"center"});y+=40;
+  doc.setDrawColor(220,100,30);doc.setLineWidth(2.5);doc.line(60,y+2,W-60,y+2);y+=14;
+  doc.setFontSize(11);doc.setFont("helvetica","bold");doc.setTextColor(60,60,60);
+  doc.text("has successfully completed the "+row.hours+"-hour course",W/2,y+12,{align:"center"});y+=20;
+  const cLines=doc.splitTextToSize(row.course,W-110);
+  const boxH=cLines.length>1?56:46;
+  doc.setFillColor(220,100,30);doc.roundedRect(38,y,W-76,boxH,5,5,"F");
+  doc.setDrawColor(30,100,180);doc.setLineWidth(1.5);doc.roundedRect(38,y,W-76,boxH,5,5,"S");
+  doc.setFontSize(cLines.length>1?15:20);doc.setFont("helvetica","bold");doc.setTextColor(255,255,255);
+  doc.text(cLines,W/2,y+(cLines.length>1?20:30),{align:"center",lineHeightFactor:1.5});
+  y+=boxH+10;
+  doc.setFontSize(10);doc.setFont("helvetica","bold");doc.setTextColor(30,100,180);
+  doc.text("CDA Subject Area:  "+(row.area||""),W/2,y+12,{align:"center"});
+  doc.setFontSize(9);doc.setFont("helvetica","normal");doc.setTextColor(80,80,80);
+  doc.text("Hours Awarded: "+row.hours+" Contact Hours   |   Date of Training: "+fmtDate(row.date),W/2,y+24,{align:"center"});
+  y+=32;
+  doc.setDrawColor(60,150,80);doc.setLineWidth(1.2);doc.line(38,y,W-38,y);y+=10;
+  doc.setFontSize(9);doc.setFont("helvetica","bold");doc.setTextColor(30,100,180);
+  doc.text("National CDA Training  |  Michigan Child Care Training",42,y+12);
+  doc.setFont("helvetica","normal");doc.setFontSize(8.5);doc.setTextColor(80,80,80);
+  doc.text("4775 Erie Drive, Buchanan, MI 49107",42,y+24);
+  doc.text("Phone: 866-726-3056  |  Mary@NationalCDATraining.com",42,y+36);
+  if(signature){try{doc.addImage(signature,"JPEG",W-230,y,170,52,"signature");}catch(e){}}
+  doc.setDrawColor(30,100,180);doc.setLineWidth(1);doc.line(W-234,y+55,W-28,y+55);
+  doc.setFontSize(8.5);doc.setFont("helvetica","bold");doc.setTextColor(30,100,180);
+  doc.text("Mary Wardlaw, President — Authorized Signature",W-234,y+64);
+  y+=72;
+  doc.setDrawColor(60,150,80);doc.setLineWidth(1);doc.line(38,y,W-38,y);y+=8;
+  doc.setFontSize(8.5);doc.setFont("helvetica","bolditalic");doc.setTextColor(30,100,180);
+  doc.text("National CDA Training Course Contributors:",W/2,y+11,{align:"center"});
+  doc.setFontSize(8);doc.setFont("helvetica","normal");doc.setTextColor(60,60,60);
+  doc.text("Kelly Burlison, BA Early Childhood Education  |  Mary Wardlaw, Educational Specialist in Early Childhood  |  Dr. Lilla Dale McManis, PhD — Education, Learning & Child Development",W/2,y+22,{align:"center"});
+  if(row.code){
+    const url=pkg.verifyUrl(row.code);
+    drawQR(doc,url,W-94,H-92,60);
+    doc.setFontSize(8);doc.setFont("helvetica","bold");doc.setTextColor(30,100,180);
+    doc.text("Certificate ID: "+row.code,W-102,H-62,{align:"right"});
+    doc.setFont("helvetica","normal");doc.setTextColor(80,80,80);
+    doc.text("Verify at "+shortUrl(url),W-102,H-50,{align:"right"});
+  }
+}
+
+// ── PACKAGE ───────────────────────────────────────────────────
+
+/**
+ * Renders a full package — cover, transcript, one certificate per row — and returns the PDF bytes.
+ * pkg = { name, pathLabel, programHours, generatedAt?, code?, verifyUrl?, rows: [{ course, area, hours, date, code? }] }
+ * Row dates may be 'YYYY-MM-DD' strings or Dates straight from the certificates table.
+ * When verification codes are given, verifyUrl(code) builds the link printed and encoded in the QR codes.
+ */
+function renderPackage(pkg) {
+  const rows = pkg.rows.map(r => ({ ...r, hours: r.hours || 3, date: isoDate(r.date) }));
+  const data = { ...pkg, rows, programHours: pkg.programHours || 120, generatedAt: pkg.generatedAt || new Date() };
+
+  const doc = new jsPDF({ orientation:'landscape', unit:'pt', format:'letter' });
+  drawCover(doc, data);
+  doc.addPage();
+  drawTranscript(doc, data);
+  rows.forEach(row => {
+    doc.addPage();
+    drawCert(doc, data, row);
+  });
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+// Same naming the batch generator has always used for packages in the ZIP and the portal
+function packageFilename(name, pathCode) {
+  const safe = name.replace(/[^a-z0-9 ]/gi,'').replace(/\s+/g,'_');
+  return `${safe}_${pathCode === 'inf' ? 'Infant-Toddler' : 'Preschool'}_CDA_Package.pdf`;
+}
+
+module.exports = { renderPackage, packageFilename, fmtDate, isoDate };
@@ -0,0 +1,137 @@
+fetch('/api/assets').then(r => r.json()).then(d => {
+  if (d.logo) {
+    const img = document.getElementById('hdr-logo');
+    img.src = d.logo; img.style.display = 'block';
+  }
+}).catch(() => {});
+
+window.addEventListener('load', () => {
+  const token = new URLSearchParams(location.search).get('token');
+  if (token) verifyToken(token);
+  else resumeSession();
+  document.getElementById('inp-email').addEventListener('keydown', e => { if (e.key === 'Enter') requestLink(); });
+});
+
+async function requestLink() {
+  const email = document.getElementById('inp-email').value.trim();
+  if (!email.includes('@')) {
+    showAlert('login-alert', 'err', 'Please enter a valid email address.');
+    return;
+  }
+  setLoginLoading(true);
+  showAlert('login-alert', 'info', '&#9203; Sending your access link&hellip;');
+  try {
+    const res  = await fetch('/api/director/request', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 429) {
+      showAlert('login-alert', 'warn', '&#9203; ' + escHtml(data.error || 'Too many link requests. Please try again later.'));
+      return;
+    }
+    if (!res.ok) throw new Error(data.error || 'Server error. Please try again.');
+    showAlert('login-alert', 'ok',
+      '&#10003; If this email is on file for a center, a secure link is on its way to <strong>' +
+      escHtml(email) + '</strong>. Please check your inbox and spam folder. The link expires in 24 hours.');
+    document.getElementById('login-btn').disabled = true;
+  } catch (e) {
+    showAlert('login-alert', 'err', '&#9888; ' + escHtml(e.message));
+  } finally {
+    setLoginLoading(false);
+  }
+}
+
+async function verifyToken(token) {
+  showAlert('login-alert', 'info', '&#9203; Verifying your link, please wait&hellip;');
+  try {
+    const res  = await fetch('/api/director/verify/' + encodeURIComponent(token));
+    const data = await res.json();
+    if (!res.ok) {
+      showAlert('login-alert', 'err',
+        '&#9888; ' + escHtml(data.error || 'This link has expired or already been used.') +
+        ' Please enter your email below to request a new one.');
+      return;
+    }
+    history.replaceState({}, '', '/director');
+    renderView(data);
+  } catch (e) {
+    showAlert('login-alert', 'err', '&#9888; Verification failed. Please request a new link below.');
+  }
+}
+
+// Reopens the view for a director who already has a session (e.g. after a reload)
+async function resumeSession() {
+  try {
+    const res = await fetch('/api/director/me');
+    if (res.ok) renderView(await res.json());
+  } catch (e) {}
+}
+
+async function signOut() {
+  await fetch('/api/director/logout', { method: 'POST' }).catch(() => {});
+  document.getElementById('director-view').style.display = 'none';
+  document.getElementById('login-view').style.display    = 'block';
+  document.getElementById('login-btn').disabled = false;
+  hideAlert('login-alert');
+}
+
+function renderView(data) {
+  document.getElementById('login-view').style.display    = 'none';
+  document.getElementById('director-view').style.display = 'block';
+  document.getElementById('center-names').textContent = data.centers.map(c => c.name).join(' · ');
+  document.querySelector('#director-email-line strong').textContent = data.email;
+  const several = data.centers.length > 1;
+
+  document.getElementById('progress-list').innerHTML = data.progress.length
+    ? '<div style="overflow-x:auto;"><table class="staff-table"><thead><tr><th>Staff member</th><th>Program</th><th>Courses</th><th>Hours left</th><th>Last activity</th></tr></thead><tbody>' +
+      data.progress.map(p => {
+        const pct = Math.round(100 * p.completed / Math.max(1, p.total));
+        return '<tr>' +
+          '<td><strong>' + escHtml(p.name) + '</strong>' + (several ? '<br><span style="font-size:.76rem;color:var(--gray);">' + escHtml(p.center_name) + '</span>' : '') + '</td>' +
+          '<td><span class="pkg-badge ' + (p.path === 'inf' ? 'inf' : '') + '">' + (p.path === 'inf' ? 'Infant &amp; Toddler' : 'Preschool') + '</span></td>' +
+          '<td style="min-width:120px;">' + p.completed + ' / ' + p.total + (p.in_progress ? ' <span style="color:var(--gray);">(+' + p.in_progress + ' in progress)</span>' : '') +
+            '<div class="bar"><div style="width:' + pct + '%"></div></div></td>' +
+          '<td>' + (p.hours_total - p.hours_done) + '</td>' +
+          '<td>' + (p.last_activity ? escHtml(fmtDate(p.last_activity)) : '&mdash;') + '</td>' +
+        '</tr>';
+      }).join('') + '</tbody></table></div>'
+    : '<p class="no-packages">No training activity recorded for your staff yet.</p>';
+
+  document.getElementById('package-list').innerHTML = data.students.some(s => s.package_id)
+    ? '<ul class="pkg-list">' + data.students.filter(s => s.package_id).map(s =>
+        '<li class="pkg-item">' +
+          '<span class="pkg-icon">&#128196;</span>' +
+          '<div class="pkg-info">' +
+            '<strong>' + escHtml(s.name) + ' &mdash; ' + escHtml(s.path_label) + '</strong>' +
+            '<span>' + s.cert_count + ' courses &nbsp;&middot;&nbsp; Generated ' + escHtml(new Date(s.generated_at).toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' })) +
+              (several ? ' &nbsp;&middot;&nbsp; ' + escHtml(s.center_name) : '') + '</span>' +
+          '</div>' +
+          '<a class="download-btn" href="/api/director/pdf/' + s.package_id + '">&#11015; Download PDF</a>' +
+        '</li>').join('') + '</ul>'
+    : '<p class="no-packages">No certificate packages have been generated for your staff yet.</p>';
+}
+
+function fmtDate(s) {
+  return new Date(s + 'T12:00:00').toLocaleDateString('en-US', { month:'short', day:'numeric', year:'numeric' });
+}
+
+function setLoginLoading(on) {
+  document.getElementById('login-btn').disabled = on;
+  document.getElementById('login-btn-text').innerHTML = on ? '<span class="spin"></span> Sending&hellip;' : 'Send My Access Link';
+}
+
+function showAlert(id, type, msg) {
+  const el  = document.getElementById(id);
+  const cls = { ok:'alert-ok', err:'alert-err', info:'alert-info', warn:'alert-warn' }[type] || 'alert-info';
+  el.className     = 'alert ' + cls;
+  el.innerHTML     = msg;
+  el.style.display = 'block';
+}
+function hideAlert(id) {
+  document.getElementById(id).style.display = 'none';
+}
+function escHtml(s) {
+  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+}
@@ -1,5 +1,3 @@
-let SESSION_EMAIL = '';
-
 fetch('/api/assets').then(r => r.json()).then(d => {
   if (d.logo) {
     const img = document.getElementById('hdr-logo');
@@ -20,6 +18,7 @@ window.addEventListener('load', () => {
   const params = new URLSearchParams(location.search);
   const token  = params.get('token');
   if (token) verifyToken(token);
+  else resumeSession();
   ['inp-name','inp-email'].forEach(id => {
     const el = document.getElementById(id);
     if (el) el.addEventListener('keydown', e => { if (e.key === 'Enter') requestLink(); });
@@ -45,6 +44,13 @@ async function requestLink() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ name, email })
     });
+    if (res.status === 429) {
+      const data = await res.json().catch(() => ({}));
+      showAlert('login-alert', 'warn', '&#9203; ' + escHtml(data.error || 'Too many link requests. Please try again later.') +
+        ' Links you already received still work &mdash; please check your inbox and spam folder.');
+      startCooldown(data.retryAfter);
+      return;
+    }
     if (!res.ok) {
       const data = await res.json().catch(() => ({}));
       throw new Error(data.error || 'Server error. Please try again.');
@@ -60,6 +66,17 @@ async function requestLink() {
   }
 }
 
+// Keeps the send button off until the server will accept another request
+function startCooldown(seconds) {
+  const btn = document.getElementById('login-btn');
+  btn.dataset.cooldown = '1';
+  btn.disabled = true;
+  setTimeout(() => {
+    delete btn.dataset.cooldown;
+    btn.disabled = false;
+  }, Math.max(1, seconds || 60) * 1000);
+}
+
 async function verifyToken(token) {
   document.getElementById('login-view').style.display = 'block';
   showAlert('login-alert', 'info', '&#9203; Verifying your link, please wait&hellip;');
@@ -73,13 +90,28 @@ async function verifyToken(token) {
       return;
     }
     history.replaceState({}, '', '/portal');
-    SESSION_EMAIL = data.email;
     renderPortal(data);
   } catch (e) {
     showAlert('login-alert', 'err', '&#9888; Verification failed. Please request a new link below.');
   }
 }
 
+// Reopens the portal for a student who already has a session (e.g. after a reload)
+async function resumeSession() {
+  try {
+    const res = await fetch('/api/portal/me');
+    if (res.ok) renderPortal(await res.json());
+  } catch (e) {}
+}
+
+async function signOut() {
+  await fetch('/api/portal/logout', { method: 'POST' }).catch(() => {});
+  document.getElementById('portal-view').style.display = 'none';
+  document.getElementById('login-view').style.display  = 'block';
+  document.getElementById('login-btn').disabled = false;
+  hideAlert('login-alert');
+}
+
 function renderPortal(data) {
   document.getElementById('login-view').style.display  = 'none';
   document.getElementById('portal-view').style.display = 'block';
@@ -111,7 +143,7 @@ function renderPortal(data) {
         student.packages.map(pkg => {
           const date  = new Date(pkg.generated_at).toLocaleDateString('en-US',
             { month:'short', day:'numeric', year:'numeric' });
-          const dlUrl = '/api/portal/pdf/' + pkg.id + '?email=' + encodeURIComponent(SESSION_EMAIL);
+          const dlUrl = '/api/portal/pdf/' + pkg.id;
           const label = pkg.filename
             ? pkg.filename.replace(/_/g,' ').replace('.pdf','')
             : 'CDA Training Package';
@@ -150,13 +182,13 @@ function renderPortal(data) {
 function setLoginLoading(on) {
   const btn  = document.getElementById('login-btn');
   const text = document.getElementById('login-btn-text');
-  btn.disabled   = on;
+  btn.disabled   = on || !!btn.dataset.cooldown;
   text.innerHTML = on ? '<span class="spin"></span> Sending&hellip;' : 'Send My Access Link';
 }
 
 function showAlert(id, type, msg) {
   const el  = document.getElementById(id);
-  const cls = { ok:'alert-ok', err:'alert-err', info:'alert-info' }[type] || 'alert-info';
+  const cls = { ok:'alert-ok', err:'alert-err', info:'alert-info', warn:'alert-warn' }[type] || 'alert-info';
   el.className     = 'alert ' + cls;
   el.innerHTML     = msg;
   el.style.display = 'block';
@@ -0,0 +1,65 @@
+// reports.js — Reports shown in the Reports tab and their CSV / XLSX exports
+// Each report is one query in db/index.js; this file names its columns and how it is charted.
+const ExcelJS = require('exceljs');
+const db      = require('./db');
+const audit   = require('./audit');
+
+/**
+ * id → { title, run(filters), columns: [{ key, label }], chart: { x, series: [keys] } }
+ * filters = { from?, to?, center? }
+ * A report with a column per program gives columns and chart as functions of the catalog's programs.
+ */
+const REPORTS = {
+  'completions-by-month': {
+    title:   'Completions per Month',
+    run:     db.reportCompletionsByMonth,
+    columns: [{ key: 'month', label: 'Month' }, { key: 'completions', label: 'Courses completed' }, { key: 'learners', label: 'Learners' }],
+    chart:   { x: 'month', series: ['completions'] },
+  },
+  'program-split': {
+    title:   'Completions by Program',
+    run:     db.reportProgramSplit,
+    columns: programs => [{ key: 'month', label: 'Month' }, ...programs.map(p => ({ key: p.code, label: p.short || p.label }))],
+    chart:   programs => ({ x: 'month', series: programs.map(p => p.code) }),
+  },
+  'packages-by-center': {
+    title:   'Packages per Center',
+    run:     db.reportPackagesByCenter,
+    columns: [{ key: 'center', label: 'Center' }, { key: 'packages', label: 'Packages' }, { key: 'learners', label: 'Learners' }],
+    chart:   { x: 'center', series: ['packages'] },
+  },
+  'time-to-finish': {
+    title:   'Days to Finish the Program',
+    run:     db.reportTimeToFinish,
+    columns: [
+      { key: 'program', label: 'Program' }, { key: 'learners', label: 'Learners finished' },
+      { key: 'avg_days', label: 'Average days' }, { key: 'min_days', label: 'Fastest' }, { key: 'max_days', label: 'Slowest' },
+    ],
+    chart:   { x: 'program', series: ['avg_days'] },
+  },
+};
+
+// The report with its columns and chart worked out for the catalog's programs
+function describe(report, programs) {
+  const resolve = v => (typeof v === 'function' ? v(programs) : v);
+  return { ...report, columns: resolve(report.columns), chart: resolve(report.chart) };
+}
+
+// Header row uses the column labels; cells that Excel would read as formulas are escaped by audit.toCSV
+function toCSV(report, rows) {
+  return audit.toCSV(rows, report.columns.map(c => c.key), report.columns.map(c => c.label));
+}
+
+// One worksheet named after the report, with a bold header row
+async function toXLSX(report, rows, filters) {
+  const book  = new ExcelJS.Workbook();
+  const sheet = book.addWorksheet(report.title.slice(0, 31));
+  sheet.columns = report.columns.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 4) }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(rows);
+  const applied = [filters.from && `from ${filters.from}`, filters.to && `to ${filters.to}`, filters.center && `center ${filters.center}`].filter(Boolean);
+  if (applied.length) sheet.addRows([[], [`Filtered: ${applied.join(', ')}`]]);
+  return Buffer.from(await book.xlsx.writeBuffer());
+}
+
+module.exports = { REPORTS, describe, toCSV, toXLSX };
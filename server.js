@@ -5,23 +5,142 @@ const cors    = require('cors');
 const multer  = require('multer');
 const path    = require('path');
 const fs      = require('fs');
+const { pipeline } = require('stream');
+const { buffer }   = require('stream/consumers');
 const db      = require('./db');
-const { sendMagicLink } = require('./email');
+const auth    = require('./auth');
+const audit   = require('./audit');
+const { sendMagicLink, sendDirectorLink, sendPackageReady } = require('./email');
+const { renderPackage, packageFilename, isoDate } = require('./pdf');
+const importer = require('./importer');
+const reports  = require('./reports');
+const { identityKey, likelyDuplicates } = require('./identity');
+const archiver = require('archiver');
 const app  = express();
 const PORT = process.env.PORT || 3000;
+const APP_URL = process.env.APP_URL || 'https://cda-certificate-generator.onrender.com';
+// Days a deleted student stays in the trash before it is purged for good
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) || 30;
+// How many portal links one email address / one IP may request per window
+const LINK_LIMITS = {
+  windowMinutes: parseInt(process.env.PORTAL_LINK_WINDOW_MINUTES, 10) || 60,
+  perEmail:      parseInt(process.env.PORTAL_LINK_MAX_PER_EMAIL, 10) || 3,
+  perIp:         parseInt(process.env.PORTAL_LINK_MAX_PER_IP, 10) || 10,
+};
 
 // ── MIDDLEWARE ────────────────────────────────────────────────
+// Render sits one proxy in front of the app — trust it so req.ip is the visitor's address
+app.set('trust proxy', 1);
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
+
+// The admin pages need a signed-in user; the portal and login pages stay public
+app.get(['/', '/index.html', '/batch.html'], auth.requirePage);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Multer — CSV uploads stored in memory
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
+// Fields of a student record worth keeping in the audit log
+const studentSnapshot = s => s && {
+  name: s.name, email: s.email, lms_id: s.lms_id ?? s.lmsId ?? null, center_id: s.center_id, path: s.path, course_count: s.course_count,
+};
+
+// ── ADMIN LOGIN ───────────────────────────────────────────────
+
+// Body: { email, password }
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+    const user = await db.getAdminUserByEmail(email);
+    if (!user || !user.active || !auth.verifyPassword(password, user.password_hash)) {
+      await audit.record(req, { action: 'admin.login_failed', targetType: 'admin_user', targetId: user && user.id, after: { email } });
+      return res.status(401).json({ error: 'Incorrect email or password.' });
+    }
+    await auth.startSession(res, user);
+    await db.recordAdminLogin(user.id);
+    req.user = user;
+    await audit.record(req, { action: 'admin.login', targetType: 'admin_user', targetId: user.id });
+    res.json({ ok: true, user: { id: user.id, email: user.email, name: user.name, role: user.role } });
+  } catch (e) {
+    console.error('Login error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/admin/logout', async (req, res) => {
+  try {
+    const user = await auth.loadUser(req);
+    if (user) await audit.record(req, { action: 'admin.logout', targetType: 'admin_user', targetId: user.id });
+    await auth.endSession(req, res);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Who is signed in — the frontends use this to hide what the role can't do
+app.get('/api/admin/me', auth.requireRole('viewer'), (req, res) => {
+  res.json(req.user);
+});
+
+// ── ADMIN USERS ───────────────────────────────────────────────
+
+app.get('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await db.getAdminUsers());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { email, name, role, password }
+app.post('/api/admin/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { email, name, role, password } = req.body;
+    if (!email || !name || !password) return res.status(400).json({ error: 'email, name and password required' });
+    if (!auth.ROLES.includes(role)) return res.status(400).json({ error: 'role must be one of ' + auth.ROLES.join(', ') });
+    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    const user = await db.createAdminUser({ email, name, role, passwordHash: auth.hashPassword(password) });
+    await audit.record(req, { action: 'user.create', targetType: 'admin_user', targetId: user.id, after: user });
+    res.json({ success: true, user });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'An account with that email already exists' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { name?, role?, active?, password? }
+app.patch('/api/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role, active, password } = req.body;
+    if (role !== undefined && !auth.ROLES.includes(role)) return res.status(400).json({ error: 'role must be one of ' + auth.ROLES.join(', ') });
+    if (password !== undefined && String(password).length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    // Don't let an admin lock themselves out
+    if (String(req.user.id) === req.params.id && (active === false || (role && role !== 'admin'))) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+    const before = await db.getAdminUser(req.params.id);
+    if (!before) return res.status(404).json({ error: 'User not found' });
+    const user = await db.updateAdminUser(req.params.id, {
+      name, role, active,
+      passwordHash: password ? auth.hashPassword(password) : undefined,
+    });
+    await audit.record(req, {
+      action: 'user.update', targetType: 'admin_user', targetId: user.id,
+      before, after: { ...user, ...(password ? { password_changed: true } : {}) },
+    });
+    res.json({ success: true, user });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // ── API ROUTES ────────────────────────────────────────────────
 
 // Stats
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', auth.requireRole('viewer'), async (req, res) => {
   try {
     const stats = await db.getStats();
     res.json(stats);
@@ -30,10 +149,11 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
-// All students
-app.get('/api/students', async (req, res) => {
+// All students (?archived=1 for the trash)
+app.get('/api/students', auth.requireRole('viewer'), async (req, res) => {
   try {
     const q = req.query.q || '';
+    if (req.query.archived) return res.json(await db.getArchivedStudents());
     const students = q ? await db.searchStudents(q) : await db.getAllStudents();
     res.json(students);
   } catch (e) {
@@ -42,22 +162,128 @@ app.get('/api/students', async (req, res) => {
 });
 
 // Single student + their certificates
-app.get('/api/students/:id', async (req, res) => {
+app.get('/api/students/:id', auth.requireRole('viewer'), async (req, res) => {
   try {
     const student = await db.getStudent(req.params.id);
     if (!student) return res.status(404).json({ error: 'Student not found' });
     const certs   = await db.getStudentCertificates(req.params.id);
     const history = await db.getStudentHistory(req.params.id);
-    res.json({ ...student, certificates: certs, history });
+    // package_outdated: edited since the latest package, so the stored PDF no longer matches the record
+    res.json({ ...student, certificates: certs, history, package_outdated: await db.isPackageOutdated(student.id) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// ── PACKAGE RENDERING ─────────────────────────────────────────
+// Builds a student's package from the certificates stored in the database,
+// so every page and device produces the same PDF. Each render issues fresh
+// verification codes for the package row it is stored on.
+async function renderStoredPackage(student, packageId) {
+  const [certs, catalog] = await Promise.all([
+    db.getStudentCertificates(student.id),
+    db.getCatalog(),
+  ]);
+  const program = catalog.programs.find(p => p.code === student.path);
+  const programHours = program ? program.courses.reduce((t, c) => t + c.hours, 0) : 120;
+  const rows = certs
+    .filter(c => c.status !== 'Incomplete')
+    .map(c => ({ course: c.course_name, area: c.subject_area, hours: c.hours, date: c.cert_date }));
+  const codes = await db.createVerificationCodes(packageId, student, rows);
+  rows.forEach((r, i) => { r.code = codes.certificateCodes[i]; });
+  const pdf = renderPackage({
+    name: student.name, pathLabel: student.path_label, programHours, rows,
+    code: codes.packageCode, verifyUrl: code => `${APP_URL}/verify/${code}`,
+  });
+  return { pdf, filename: packageFilename(student.name, student.path), verifyCode: codes.packageCode };
+}
+
+// Why a certificate's printed date differs from its LMS completion date (sourceDate), or null
+function dateAdjustment(c) {
+  if (!c.sourceDate) return 'estimated';
+  return String(c.date).slice(0, 10) !== String(c.sourceDate).slice(0, 10) ? 'shifted' : null;
+}
+
+// A package's courses as the catalog has them. Each requested course names a course of the program
+// by courseId (or by name); only its date, status and sourceDate come from the request.
+function catalogCourses(courses, program, areas) {
+  const out = [];
+  for (const c of courses) {
+    const course = program.courses.find(x => (c.courseId ? x.id === Number(c.courseId) : x.name === String(c.course || '').trim()));
+    if (!course) return { error: `"${c.courseId || c.course || ''}" is not a course in ${program.label}` };
+    if (out.some(o => o.course === course.name)) return { error: `${course.name} is listed twice` };
+    if (!isDate(c.date)) return { error: `${course.name}: date must be a date (YYYY-MM-DD)` };
+    if (c.sourceDate && !isDate(c.sourceDate)) return { error: `${course.name}: LMS completion date must be a date (YYYY-MM-DD)` };
+    if (!CERT_STATUSES.includes(c.status)) return { error: `${course.name}: status must be one of ${CERT_STATUSES.join(', ')}` };
+    out.push({
+      course: course.name, area: (areas.find(a => a.index === course.area) || {}).label, areaIndex: course.area,
+      hours: course.hours, date: c.date, status: c.status, sourceDate: c.sourceDate || null,
+    });
+  }
+  return { courses: out };
+}
+
+// Records each course's adjustment, or returns an error when the program's date policy forbids one.
+// Without a catalog program there is no policy to check against, so nothing is allowed through.
+function applyDatePolicy(courses, program) {
+  if (!program) return { error: 'The program is not in the catalog, so its date policy cannot be checked' };
+  const out = courses.map(c => ({ ...c, adjustment: dateAdjustment(c) }));
+  const shifted   = out.filter(c => c.adjustment === 'shifted');
+  const estimated = out.filter(c => c.adjustment === 'estimated');
+  if (shifted.length && !program.allowShift) {
+    return { error: `${program.label} does not allow shifted dates: ` +
+      shifted.map(c => `${c.course} (completed ${c.sourceDate}, printed ${c.date})`).join('; ') };
+  }
+  if (estimated.length && !program.allowEstimate) {
+    return { error: `${program.label} does not allow estimated dates; no completion date for: ` +
+      estimated.map(c => c.course).join('; ') };
+  }
+  return { courses: out };
+}
+
 // Save a generated package record
-app.post('/api/packages', async (req, res) => {
+// Body: { name, email?, lmsId?, path, filename, courses: [...], render?: true, importId? } — path is a catalog program code
+// The package goes on the learner's record for the program, found by LMS learner ID or email (see db.findStudent).
+// Each course is { courseId (or course, the name), date, status, sourceDate } — date is the printed
+// date and sourceDate the LMS completion date (null when the export had none). Name, subject area
+// and hours are taken from the catalog; a course that is not in the program is refused.
+// With render: true the server renders the PDF from the saved certificates and stores it on the package.
+// generated_by is always the signed-in user.
+app.post('/api/packages', auth.requireRole('generator'), async (req, res) => {
   try {
-    const result = await db.saveStudentPackage(req.body);
+    const { render, ...data } = req.body;
+    if (!Array.isArray(data.courses)) return res.status(400).json({ error: 'courses required' });
+    data.name = String(data.name || '').trim();
+    if (!data.name) return res.status(400).json({ error: 'Learner name is required' });
+    const catalog = await db.getCatalog();
+    const program = catalog.programs.find(p => p.code === data.path);
+    if (!program) return res.status(400).json({ error: `"${data.path || ''}" is not a program in the catalog` });
+    data.pathLabel = program.label;
+    const known   = catalogCourses(data.courses, program, catalog.areas);
+    if (known.error) return res.status(400).json({ error: known.error });
+    const policy  = applyDatePolicy(known.courses, program);
+    if (policy.error) return res.status(422).json({ error: policy.error });
+    data.courses = policy.courses;
+    const { previous, certificatesReplaced, inTrash, ...result } =
+      await db.saveStudentPackage({ ...data, generatedBy: auth.actorName(req.user) });
+    if (inTrash) {
+      return res.status(409).json({ error: `${previous.name} is in the trash — restore the record first`, inTrash: true, studentId: result.studentId });
+    }
+    if (render) {
+      const student = await db.getStudent(result.studentId);
+      const out = await renderStoredPackage(student, result.packageId);
+      await db.attachPackagePDF(result.packageId, out.pdf, out.filename);
+      result.filename   = out.filename;
+      result.verifyCode = out.verifyCode;
+    }
+    await audit.record(req, {
+      action: 'package.create', targetType: 'student', targetId: result.studentId,
+      before: studentSnapshot(previous),
+      after: {
+        ...studentSnapshot({ ...data, course_count: data.courses.length }),
+        packageId: result.packageId, filename: result.filename || data.filename, certificatesReplaced,
+      },
+    });
     res.json({ success: true, ...result });
   } catch (e) {
     console.error('Save error:', e);
@@ -65,24 +291,355 @@ app.post('/api/packages', async (req, res) => {
   }
 });
 
-// Update student email
-app.patch('/api/students/:id/email', async (req, res) => {
+// Per-course differences between a student's stored certificates and the ones a run would save
+// → { added: [course], removed: [course], changed: [{ course, from: { date, status, sourceDate }, to: { … } }] }
+function diffCertificates(stored, incoming) {
+  const before = new Map(stored.map(c => [c.course, c]));
+  const after  = new Map(incoming.map(c => [c.course, c]));
+  const same   = (a, b) => a.date === b.date && a.status === b.status && (a.sourceDate || null) === (b.sourceDate || null);
+  return {
+    added:   incoming.filter(c => !before.has(c.course)).map(c => c.course),
+    removed: stored.filter(c => !after.has(c.course)).map(c => c.course),
+    changed: incoming.filter(c => before.has(c.course) && !same(before.get(c.course), c)).map(c => ({
+      course: c.course,
+      from:   { date: before.get(c.course).date, status: before.get(c.course).status, sourceDate: before.get(c.course).sourceDate || null },
+      to:     { date: c.date, status: c.status, sourceDate: c.sourceDate || null },
+    })),
+  };
+}
+
+// Which packages of a batch run would change anything — compared with what is stored
+// Body: { packages: [{ name, email?, lmsId?, path, courses: [{ course, date, status, sourceDate }] }] }
+// → { results: [{ name, path, studentId, status: 'new' | 'changed' | 'unchanged' | 'trash', diff }] }
+// 'trash' is a learner whose record is in the trash: nothing is saved for them until it is restored.
+app.post('/api/packages/compare', auth.requireRole('generator'), async (req, res) => {
   try {
-    const { email } = req.body;
-    await db.pool.query(
-      'UPDATE students SET email = $1 WHERE id = $2',
-      [email || null, req.params.id]
-    );
+    const packages = Array.isArray(req.body.packages) ? req.body.packages : [];
+    const stored   = await db.getStudentsWithCertificates(
+      packages.map(p => ({ name: p.name, email: p.email, lmsId: p.lmsId, path: p.path })));
+    const results  = packages.map((p, i) => {
+      const s = stored[i];
+      if (s && s.archived_at) return { name: p.name, path: p.path, studentId: s.id, status: 'trash', diff: null };
+      if (!s || !s.package_count) return { name: p.name, path: p.path, studentId: s ? s.id : null, status: 'new', diff: null };
+      const diff = diffCertificates(s.certificates, p.courses || []);
+      const changed = diff.added.length || diff.removed.length || diff.changed.length;
+      return { name: p.name, path: p.path, studentId: s.id, status: changed ? 'changed' : 'unchanged', diff };
+    });
+    res.json({ results });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Re-render a student's package from stored certificates — no CSV needed
+// Body: { studentId }
+app.post('/api/packages/render', auth.requireRole('generator'), async (req, res) => {
+  try {
+    const { studentId } = req.body;
+    if (!studentId) return res.status(400).json({ error: 'studentId required' });
+    const student = await db.getStudent(studentId);
+    if (!student) return res.status(404).json({ error: 'Student not found' });
+    const result = await db.saveRenderedPackage(student.id, {
+      filename:    packageFilename(student.name, student.path),
+      path:        student.path,
+      generatedBy: auth.actorName(req.user),
+    });
+    const out = await renderStoredPackage(student, result.packageId);
+    await db.attachPackagePDF(result.packageId, out.pdf, out.filename);
+    await audit.record(req, {
+      action: 'package.render', targetType: 'student', targetId: student.id,
+      after: { packageId: result.packageId, filename: out.filename },
+    });
+    res.json({ success: true, ...result, filename: out.filename, verifyCode: out.verifyCode });
+  } catch (e) {
+    console.error('Render error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Revoke a package — its verification codes then show as revoked on /verify
+// Body: { reason? }
+app.post('/api/packages/:packageId/revoke', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    const result = await db.revokePackage(req.params.packageId, reason);
+    if (!result.revoked) return res.status(404).json({ error: 'No active verification codes for this package' });
+    await audit.record(req, {
+      action: 'package.revoke', targetType: 'package', targetId: req.params.packageId,
+      after: { reason, codesRevoked: result.revoked },
+    });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Which certificates changed between two generations, from the snapshots saved with them
+// ?from=<packageId>&to=<packageId> → { from, to, diff } — from and to are { id, filename, generated_at, generated_by }
+app.get('/api/packages/diff', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const [from, to] = await Promise.all([req.query.from, req.query.to].map(id => db.getPackageSnapshot(parseInt(id, 10) || 0)));
+    if (!from || !to) return res.status(404).json({ error: 'Package not found' });
+    const missing = [from, to].find(p => !p.certificates);
+    if (missing) return res.status(422).json({ error: `${missing.filename || 'Package ' + missing.id} was generated before certificate history was kept` });
+    const meta = ({ certificates, ...p }) => p;
+    res.json({ from: meta(from), to: meta(to), diff: diffCertificates(from.certificates, to.certificates) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── STUDENT NOTIFICATIONS ─────────────────────────────────────
+// Emails are queued in package_deliveries and sent in the background, so a large
+// batch returns at once and the history table shows queued → sent / failed.
+
+// Body: { packageIds: [...], attach?: true } — attach sends the PDF instead of just the portal link
+app.post('/api/packages/notify', auth.requireRole('generator'), async (req, res) => {
+  try {
+    const packageIds = (req.body.packageIds || []).map(Number).filter(Number.isInteger);
+    if (!packageIds.length) return res.status(400).json({ error: 'packageIds required' });
+    const attach = !!req.body.attach;
+    const { queued, skipped } = await db.queueDeliveries(packageIds, { attach, requestedBy: auth.actorName(req.user) });
+    for (const d of queued) {
+      await audit.record(req, {
+        action: 'package.notify', targetType: 'package', targetId: d.package_id,
+        after: { email: d.email, attach },
+      });
+    }
+    res.json({ queued: queued.length, skipped });
+    processDeliveries();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+let delivering = false, deliverAgain = false;
+
+// Sends everything still queued — also picks up deliveries left behind by a restart
+async function processDeliveries() {
+  if (delivering) { deliverAgain = true; return; }
+  delivering = true;
+  try {
+    do {
+      deliverAgain = false;
+      let batch;
+      while ((batch = await db.getQueuedDeliveries(20)).length) {
+        for (const d of batch) {
+          try {
+            let pdf;
+            if (d.attach_pdf) {
+              const pkg = await db.getPackagePDF(d.package_id);
+              if (!pkg) throw new Error('Package has no stored PDF to attach');
+              pdf = { filename: pkg.filename || 'package.pdf', content: await buffer(pkg.stream) };
+            }
+            await sendPackageReady(d.email, d, pdf);
+            await db.markDelivery(d.id, 'sent');
+          } catch (e) {
+            console.error(`Delivery ${d.id} to ${d.email} failed:`, e.message);
+            await db.markDelivery(d.id, 'failed', e.message);
+          }
+        }
+      }
+    } while (deliverAgain);
+  } catch (e) {
+    console.error('Delivery worker error:', e);
+  } finally {
+    delivering = false;
+  }
+}
+
+// ── STUDENT EDITS ─────────────────────────────────────────────
+// Corrections made by hand in the student window, checked here before anything is saved.
+// A changed record no longer matches its stored PDF; the page offers to re-render it.
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const CERT_STATUSES = ['Pass', 'In Progress', 'Incomplete'];
+const isDate = s => /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s)) && new Date(s).toISOString().slice(0, 10) === s;
+
+// The students columns an edit sets, or { error }. Only fields present in body change:
+// { name?, email?, lmsId?, centerId?, path? } — email, lmsId and centerId may be null to clear them
+async function profileChanges(body, student) {
+  const fields = {};
+  if ('name' in body) {
+    const name = String(body.name || '').trim().replace(/\s+/g, ' ');
+    if (!name) return { error: 'Name is required' };
+    if (name.length > 255) return { error: 'Name is too long' };
+    fields.name = name;
+  }
+  if ('email' in body) {
+    const email = String(body.email || '').trim().toLowerCase();
+    if (email && (email.length > 255 || !EMAIL_PATTERN.test(email))) return { error: `"${body.email}" is not an email address` };
+    fields.email = email || null;
+  }
+  if ('lmsId' in body) {
+    const lmsId = String(body.lmsId ?? '').trim();
+    if (lmsId.length > 255) return { error: 'LMS learner ID is too long' };
+    fields.lms_id = lmsId || null;
+  }
+  if ('centerId' in body) {
+    if (body.centerId === null || body.centerId === '') {
+      fields.center_id = null;
+    } else {
+      const center = await db.getCenter(parseInt(body.centerId, 10) || 0);
+      if (!center) return { error: 'No such center' };
+      fields.center_id = center.id;
+    }
+  }
+  if ('path' in body && body.path !== student.path) {
+    const program = (await db.getCatalog()).programs.find(p => p.code === body.path);
+    if (!program) return { error: 'No such program' };
+    // Certificates belong to the program's courses; moving them along would print them in the wrong package
+    if ((await db.getStudentCertificates(student.id)).length) {
+      return { error: `Remove ${student.name}'s certificates before moving the record to ${program.label}`, status: 409 };
+    }
+    fields.path       = program.code;
+    fields.path_label = program.label;
+  }
+  if (!Object.keys(fields).length) return { error: 'Nothing to change' };
+  if ('email' in fields || 'lms_id' in fields) {
+    fields.identity_key = identityKey({
+      lmsId: 'lms_id' in fields ? fields.lms_id : student.lms_id,
+      email: 'email' in fields ? fields.email : student.email,
+    });
+  }
+  return { fields };
+}
+
+async function editStudent(req, res, body, action) {
+  try {
+    const student = await db.getStudent(req.params.id);
+    if (!student || student.archived_at) return res.status(404).json({ error: 'Student not found' });
+    const { error, status, fields } = await profileChanges(body, student);
+    if (error) return res.status(status || 400).json({ error });
+    const updated = await db.updateStudent(student.id, fields);
+    const changed = Object.keys(fields).filter(k => k !== 'identity_key' && (student[k] ?? null) !== (updated[k] ?? null));
+    if (changed.length) {
+      await audit.record(req, {
+        action, targetType: 'student', targetId: student.id,
+        before: Object.fromEntries(changed.map(k => [k, student[k]])),
+        after:  Object.fromEntries(changed.map(k => [k, updated[k]])),
+      });
+    }
+    res.json({ success: true, student: updated });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'Another record in this program already has that email or LMS learner ID — merge the two instead' });
+    res.status(500).json({ error: e.message });
+  }
+}
+
+// Edit a student's details
+// Body: any of { name, email, lmsId, centerId, path }
+app.patch('/api/students/:id', auth.requireRole('generator'), (req, res) =>
+  editStudent(req, res, req.body, 'student.update'));
+
+// Update student email — the same checks as above
+app.patch('/api/students/:id/email', auth.requireRole('generator'), (req, res) =>
+  editStudent(req, res, { email: req.body.email }, 'student.email_update'));
+
+// A certificate for the student's program as sent from the student window, or { error }.
+// body = { course, date, status, sourceDate? } — for an edit, what is left out stays as in `current`.
+// The subject area and hours come from the catalog; a course no longer in it keeps its stored ones.
+async function certificateChanges(body, student, certs, current) {
+  const catalog = await db.getCatalog();
+  const program = catalog.programs.find(p => p.code === student.path);
+  const pick    = (key, stored) => (key in body ? body[key] : stored);
+  const name    = String(pick('course', current && current.course_name) || '').trim();
+  const date    = String(pick('date', current && isoDate(current.cert_date)) || '');
+  const status  = pick('status', current ? current.status : 'Pass');
+  const source  = pick('sourceDate', current ? (current.source_date && isoDate(current.source_date)) : date) || null;
+
+  const course = program && program.courses.find(c => c.name === name);
+  // An unchanged course that has since left the catalog may stay, unless it belongs to another program
+  const kept   = current && current.course_name === name &&
+    !catalog.programs.some(p => p.code !== student.path && p.courses.some(c => c.name === name));
+  if (!name) return { error: 'Course is required' };
+  if (!course && !kept) return { error: `"${name}" is not a course in ${program ? program.label : student.path_label}` };
+  if (certs.some(c => c.course_name === name && (!current || c.id !== current.id))) {
+    return { error: `${name} is already on this record — edit that certificate instead`, status: 409 };
+  }
+  if (!isDate(date)) return { error: 'Date must be a date (YYYY-MM-DD)' };
+  if (source && !isDate(source)) return { error: 'LMS completion date must be a date (YYYY-MM-DD)' };
+  if (!CERT_STATUSES.includes(status)) return { error: `Status must be one of ${CERT_STATUSES.join(', ')}` };
+
+  const cert = {
+    course: name, date, status, sourceDate: source,
+    areaIndex: course ? course.area : current.area_index,
+    area:      course ? (catalog.areas.find(a => a.index === course.area) || {}).label : current.subject_area,
+    hours:     course ? course.hours : current.hours,
+  };
+  const policy = applyDatePolicy([cert], program);
+  if (policy.error) return { error: policy.error, status: 422 };
+  return { cert: policy.courses[0] };
+}
+
+const certSnapshot = c => c && {
+  course: c.course_name, date: isoDate(c.cert_date), status: c.status,
+  sourceDate: c.source_date ? isoDate(c.source_date) : null, adjustment: c.date_adjustment,
+};
+
+// Add a certificate — Body: { course, date, status, sourceDate? }
+app.post('/api/students/:id/certificates', auth.requireRole('generator'), async (req, res) => {
+  try {
+    const student = await db.getStudent(req.params.id);
+    if (!student || student.archived_at) return res.status(404).json({ error: 'Student not found' });
+    const certs = await db.getStudentCertificates(student.id);
+    const { error, status, cert } = await certificateChanges(req.body, student, certs, null);
+    if (error) return res.status(status || 400).json({ error });
+    const created = await db.addCertificate(student.id, cert);
+    await audit.record(req, {
+      action: 'student.certificate.add', targetType: 'student', targetId: student.id,
+      after: { id: created.id, ...certSnapshot(created) },
+    });
+    res.json({ success: true, certificate: created });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Edit a certificate — Body: any of { course, date, status, sourceDate }
+app.patch('/api/students/:id/certificates/:certId', auth.requireRole('generator'), async (req, res) => {
+  try {
+    const student = await db.getStudent(req.params.id);
+    if (!student || student.archived_at) return res.status(404).json({ error: 'Student not found' });
+    const certs   = await db.getStudentCertificates(student.id);
+    const current = certs.find(c => c.id === parseInt(req.params.certId, 10));
+    if (!current) return res.status(404).json({ error: 'Certificate not found' });
+    const { error, status, cert } = await certificateChanges(req.body, student, certs, current);
+    if (error) return res.status(status || 400).json({ error });
+    const updated = await db.updateCertificate(student.id, current.id, cert);
+    await audit.record(req, {
+      action: 'student.certificate.update', targetType: 'student', targetId: student.id,
+      before: { id: current.id, ...certSnapshot(current) }, after: { id: updated.id, ...certSnapshot(updated) },
+    });
+    res.json({ success: true, certificate: updated });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/students/:id/certificates/:certId', auth.requireRole('generator'), async (req, res) => {
+  try {
+    const student = await db.getStudent(req.params.id);
+    if (!student || student.archived_at) return res.status(404).json({ error: 'Student not found' });
+    const removed = await db.deleteCertificate(student.id, parseInt(req.params.certId, 10) || 0);
+    if (!removed) return res.status(404).json({ error: 'Certificate not found' });
+    await audit.record(req, {
+      action: 'student.certificate.remove', targetType: 'student', targetId: student.id,
+      before: { id: removed.id, ...certSnapshot(removed) },
+    });
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Delete single student
-app.delete('/api/students/:id', async (req, res) => {
+// Delete single student — moves them to the trash
+app.delete('/api/students/:id', auth.requireRole('admin'), async (req, res) => {
   try {
-    await db.deleteStudent(req.params.id);
+    const student = await db.getStudent(req.params.id);
+    if (!student || student.archived_at) return res.status(404).json({ error: 'Student not found' });
+    await db.deleteStudent(student.id, auth.actorName(req.user));
+    await audit.record(req, { action: 'student.archive', targetType: 'student', targetId: student.id, before: studentSnapshot(student) });
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -91,13 +648,17 @@ app.delete('/api/students/:id', async (req, res) => {
 
 // ── BULK DELETE ───────────────────────────────────────────────
 // Body: { ids: [1, 2, 3, ...] }
-app.delete('/api/students', async (req, res) => {
+app.delete('/api/students', auth.requireRole('admin'), async (req, res) => {
   try {
     const { ids } = req.body;
     if (!Array.isArray(ids) || !ids.length) {
       return res.status(400).json({ error: 'ids array required' });
     }
-    const result = await db.deleteManyStudents(ids);
+    const students = await db.getStudentsByIds(ids);
+    const result = await db.deleteManyStudents(ids, auth.actorName(req.user));
+    for (const s of students) {
+      await audit.record(req, { action: 'student.archive', targetType: 'student', targetId: s.id, before: studentSnapshot(s) });
+    }
     res.json({ success: true, deleted: result.deleted });
   } catch (e) {
     console.error('Bulk delete error:', e);
@@ -105,7 +666,584 @@ app.delete('/api/students', async (req, res) => {
   }
 });
 
-// Serve assets (signature, logo) as base64 for the frontend
+// ── TRASH ─────────────────────────────────────────────────────
+// Deleted students are archived, restorable until the purge removes them for good.
+
+app.post('/api/students/:id/restore', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const before = await db.getStudent(req.params.id);
+    const student = await db.restoreStudent(req.params.id);
+    if (!student) return res.status(404).json({ error: 'No archived student with that id' });
+    await audit.record(req, {
+      action: 'student.restore', targetType: 'student', targetId: student.id,
+      before: { archived_at: before.archived_at, archived_by: before.archived_by }, after: studentSnapshot(student),
+    });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Permanently delete one archived student without waiting for the purge
+app.delete('/api/students/:id/permanent', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const student = await db.purgeStudent(req.params.id);
+    if (!student) return res.status(404).json({ error: 'No archived student with that id' });
+    await audit.record(req, { action: 'student.purge', targetType: 'student', targetId: student.id, before: studentSnapshot(student) });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── DUPLICATE STUDENTS ────────────────────────────────────────
+// A record is one person in one program, keyed on LMS learner ID or email (see identity.js).
+// Records saved under a name before that, or from exports without either, may be one person twice.
+
+// Likely duplicates → [{ a, b, reasons }] (see identity.likelyDuplicates)
+app.get('/api/duplicates', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { students, dismissed } = await db.getDuplicateCandidates();
+    res.json(likelyDuplicates(students, dismissed));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { keepId, mergeId } — mergeId's certificates and packages move to keepId and mergeId is deleted
+app.post('/api/duplicates/merge', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const keepId = parseInt(req.body.keepId, 10), mergeId = parseInt(req.body.mergeId, 10);
+    if (!keepId || !mergeId || keepId === mergeId) return res.status(400).json({ error: 'keepId and mergeId must be two different students' });
+    const [keep, other] = await Promise.all([db.getStudent(keepId), db.getStudent(mergeId)]);
+    if (!keep || !other || keep.archived_at || other.archived_at) return res.status(404).json({ error: 'Student not found' });
+    if (keep.path !== other.path) return res.status(400).json({ error: 'Only records in the same program can be merged' });
+    if (keep.lms_id && other.lms_id && keep.lms_id !== other.lms_id) {
+      return res.status(409).json({ error: 'These records have different LMS learner IDs, so they are different people' });
+    }
+    const { dropped, ...result } = await db.mergeStudents(keep.id, other.id);
+    // The dropped certificates are kept in full here, so they can be put back by hand
+    await audit.record(req, {
+      action: 'student.merge', targetType: 'student', targetId: keep.id,
+      before: {
+        kept: studentSnapshot(keep), merged: { id: other.id, ...studentSnapshot(other) },
+        droppedCertificates: dropped.map(c => ({
+          id: c.id, studentId: c.student_id, ...certSnapshot(c), area: c.subject_area, areaIndex: c.area_index, hours: c.hours,
+        })),
+      },
+      after: { ...studentSnapshot(await db.getStudent(keep.id)), ...result },
+    });
+    res.json({ success: true, studentId: keep.id, ...result });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { ids: [a, b] } — the finder stops suggesting this pair
+app.post('/api/duplicates/dismiss', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body.ids) ? req.body.ids : []).map(id => parseInt(id, 10));
+    if (ids.length !== 2 || ids.some(id => !id) || ids[0] === ids[1]) return res.status(400).json({ error: 'ids must be two different students' });
+    const students = await db.getStudentsByIds(ids);
+    if (students.length !== 2) return res.status(404).json({ error: 'Student not found' });
+    await db.markNotDuplicates(ids[0], ids[1], auth.actorName(req.user));
+    await audit.record(req, {
+      action: 'student.not_duplicate', targetType: 'student', targetId: Math.min(...ids),
+      after: { students: students.map(s => ({ id: s.id, name: s.name, email: s.email })) },
+    });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Moves some certificates and packages to a new record for a second person saved on this one
+// Body: { name, email?, lmsId?, certificateIds: [], packageIds: [] }
+app.post('/api/students/:id/split', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { email, lmsId } = req.body;
+    const name = String(req.body.name || '').trim();
+    const certificateIds = (req.body.certificateIds || []).map(id => parseInt(id, 10)).filter(Boolean);
+    const packageIds     = (req.body.packageIds || []).map(id => parseInt(id, 10)).filter(Boolean);
+    if (!name) return res.status(400).json({ error: 'Name is required for the new record' });
+    if (!certificateIds.length && !packageIds.length) return res.status(400).json({ error: 'Pick the certificates or packages that belong to the other person' });
+    const student = await db.getStudent(req.params.id);
+    if (!student || student.archived_at) return res.status(404).json({ error: 'Student not found' });
+    const result = await db.splitStudent(student.id, { name, email, lmsId, certificateIds, packageIds });
+    await audit.record(req, {
+      action: 'student.split', targetType: 'student', targetId: student.id,
+      before: studentSnapshot(student),
+      after: { ...studentSnapshot(await db.getStudent(result.studentId)), ...result, certificateIds, packageIds },
+    });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'Another record in this program already has that LMS learner ID or email — merge into it instead' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Runs at startup and then every few hours
+async function purgeTrash() {
+  try {
+    const purged = await db.purgeArchivedStudents(ARCHIVE_RETENTION_DAYS);
+    for (const s of purged) {
+      await audit.record(null, {
+        action: 'student.purge', targetType: 'student', targetId: s.id,
+        before: studentSnapshot(s), after: { retentionDays: ARCHIVE_RETENTION_DAYS },
+      });
+    }
+    if (purged.length) console.log(`🗑 Purged ${purged.length} archived student(s) older than ${ARCHIVE_RETENTION_DAYS} days`);
+    const pruned = await db.pruneUnusedPDFs();
+    if (pruned) console.log(`🗑 Removed ${pruned} stored PDF(s) no package uses any more`);
+    await db.pruneLinkRequests(Math.ceil(LINK_LIMITS.windowMinutes / 1440));
+  } catch (e) {
+    console.error('Trash purge error:', e);
+  }
+}
+
+// ── CSV IMPORTS ───────────────────────────────────────────────
+// The LMS export is parsed and matched here; the generators only preview the result
+// and pass importId back when they save packages, so each package records its source file.
+
+// multipart/form-data with the CSV in "file" and optionally the mapping to use in "profileId";
+// without one the profile is picked from the file's headers
+app.post('/api/imports', auth.requireRole('generator'), (req, res, next) => {
+  upload.single('file')(req, res, err => err ? res.status(400).json({ error: err.message }) : next());
+}, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'CSV file required' });
+    const csv      = importer.readCSV(req.file.buffer);
+    const profiles = await db.getImportProfiles();
+    const profile  = req.body.profileId
+      ? profiles.find(p => p.id === parseInt(req.body.profileId, 10))
+      : importer.detectProfile(csv.headers, profiles);
+    if (!profile) {
+      return res.status(422).json({
+        error: req.body.profileId ? 'Unknown export format' : 'No export format matches the columns in this file. Choose one by hand.',
+        headers: csv.headers,
+      });
+    }
+    const [catalog, aliases] = await Promise.all([db.getCatalog(), db.getCourseAliases()]);
+    const result = importer.parseExport(csv, req.file.originalname, catalog, profile, aliases);
+    const imp = await db.createImport({
+      profileId:    profile.id,
+      filename:     req.file.originalname,
+      uploadedBy:   auth.actorName(req.user),
+      rowCount:     result.rowCount,
+      learnerCount: result.learners.length,
+      skippedCount: result.skipped.length,
+      ignoredCount: result.ignored,
+      unmatched:    result.unmatched,
+    });
+    await db.queueUnmatchedTitles(result.unmatched, imp.id);
+    await db.saveLearnerProgress(result.learners, imp.id);
+    await audit.record(req, {
+      action: 'import.create', targetType: 'import', targetId: imp.id,
+      after: { filename: imp.filename, profile: profile.name, rows: imp.row_count, learners: imp.learner_count, skipped: imp.skipped_count },
+    });
+    res.json({ import: imp, profile: { id: profile.id, name: profile.name }, ...result });
+  } catch (e) {
+    console.error('Import error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/imports', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await db.getImports());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/imports/:id', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const imp = await db.getImport(req.params.id);
+    if (!imp) return res.status(404).json({ error: 'Import not found' });
+    res.json(imp);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── LEARNER PROGRESS ──────────────────────────────────────────
+// Every imported learner's completions are kept, so staff can follow up with
+// people who are partway through a program before any package is generated.
+
+app.get('/api/progress', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await db.getLearnerProgress({
+      path:       req.query.path || null,
+      centerIds:  req.query.center ? [parseInt(req.query.center, 10) || 0] : null,
+      q:          (req.query.q || '').trim() || null,
+      unfinished: req.query.unfinished === '1',
+    }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── REPORTS ───────────────────────────────────────────────────
+// Every report takes ?from=&to= (YYYY-MM-DD) and ?center=, and ?format=csv or xlsx to download it.
+
+app.get('/api/reports', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const { programs } = await db.getCatalog();
+    res.json({
+      reports: Object.entries(reports.REPORTS).map(([id, r]) => {
+        const { title, columns, chart } = reports.describe(r, programs);
+        return { id, title, columns, chart };
+      }),
+      centers: (await db.getCenters()).map(c => ({ id: c.id, name: c.name })),
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/reports/:id', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    if (!reports.REPORTS[req.params.id]) return res.status(404).json({ error: 'Unknown report' });
+    const report = reports.describe(reports.REPORTS[req.params.id], (await db.getCatalog()).programs);
+    const filters = {};
+    for (const k of ['from', 'to']) {
+      if (!req.query[k]) continue;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(req.query[k])) return res.status(400).json({ error: `${k} must be a date (YYYY-MM-DD)` });
+      filters[k] = req.query[k];
+    }
+    if (req.query.center) filters.center = parseInt(req.query.center, 10) || 0;
+    const rows = await report.run(filters);
+    const format = req.query.format;
+    if (!format) return res.json(rows);
+    if (format !== 'csv' && format !== 'xlsx') return res.status(400).json({ error: 'format must be csv or xlsx' });
+
+    await audit.record(req, { action: 'report.export', after: { report: req.params.id, format, filters, rows: rows.length } });
+    const filename = `${req.params.id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(reports.toCSV(report, rows));
+    }
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(await reports.toXLSX(report, rows, filters));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── CENTERS ───────────────────────────────────────────────────
+// Child care centers that send staff. Learners join a center through its LMS group names
+// or by hand, and the center's director can sign in at /director to follow them.
+
+const centerSnapshot = c => c && {
+  name: c.name, director_name: c.director_name, director_email: c.director_email,
+  phone: c.phone, address: c.address, lms_groups: c.lms_groups,
+};
+
+// Body → center data, or { error }
+function centerFromBody(body) {
+  const name = String(body.name || '').trim();
+  if (!name) return { error: 'Center name is required' };
+  const directorEmail = String(body.directorEmail || '').toLowerCase().trim();
+  if (directorEmail && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(directorEmail)) return { error: 'Director email is not a valid address' };
+  const lmsGroups = (Array.isArray(body.lmsGroups) ? body.lmsGroups : String(body.lmsGroups || '').split(','))
+    .map(g => String(g).trim()).filter(Boolean);
+  return {
+    data: {
+      name, directorEmail, lmsGroups,
+      directorName: String(body.directorName || '').trim(),
+      phone:        String(body.phone || '').trim(),
+      address:      String(body.address || '').trim(),
+    },
+  };
+}
+
+// Every center, plus the LMS group names seen in imports (for picking a center's groups)
+app.get('/api/centers', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const [centers, groups] = await Promise.all([db.getCenters(), db.getLearnerGroups()]);
+    res.json({ centers, groups });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/centers', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { data, error } = centerFromBody(req.body);
+    if (error) return res.status(400).json({ error });
+    const center = await db.createCenter(data);
+    await audit.record(req, { action: 'center.create', targetType: 'center', targetId: center.id, after: centerSnapshot(center) });
+    res.json(center);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A center with that name already exists' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put('/api/centers/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { data, error } = centerFromBody(req.body);
+    if (error) return res.status(400).json({ error });
+    const before = await db.getCenter(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Center not found' });
+    const center = await db.updateCenter(req.params.id, data);
+    await audit.record(req, {
+      action: 'center.update', targetType: 'center', targetId: center.id,
+      before: centerSnapshot(before), after: centerSnapshot(center),
+    });
+    res.json(center);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A center with that name already exists' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/centers/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const center = await db.deleteCenter(req.params.id);
+    if (!center) return res.status(404).json({ error: 'Center not found' });
+    await audit.record(req, { action: 'center.delete', targetType: 'center', targetId: center.id, before: centerSnapshot(center) });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { studentIds: [id], centerId } — centerId null takes the students out of their center
+app.post('/api/centers/assign', auth.requireRole('generator'), async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body.studentIds) ? req.body.studentIds : []).map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    if (!ids.length) return res.status(400).json({ error: 'studentIds required' });
+    const centerId = req.body.centerId ? parseInt(req.body.centerId, 10) : null;
+    if (centerId && !(await db.getCenter(centerId))) return res.status(404).json({ error: 'Center not found' });
+    const before = await db.assignStudentsToCenter(ids, centerId);
+    for (const s of before) {
+      await audit.record(req, {
+        action: 'student.center_update', targetType: 'student', targetId: s.id,
+        before: { center_id: s.center_id }, after: { center_id: centerId },
+      });
+    }
+    res.json({ success: true, updated: before.length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── UNMATCHED TITLES ──────────────────────────────────────────
+// Titles no catalog course matched are queued for review. Mapping one to a course, or
+// ignoring it, saves an alias that every later import applies before keyword matching.
+
+app.get('/api/unmatched-titles', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const [titles, aliases] = await Promise.all([db.getUnmatchedTitles(), db.getCourseAliases()]);
+    res.json({ titles, aliases });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { courseIds: [...] } — at most one course per program — or { ignore: true }
+app.post('/api/unmatched-titles/:id/resolve', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const ignore    = !!req.body.ignore;
+    const courseIds = ignore ? [] : [...new Set((req.body.courseIds || []).map(Number).filter(Number.isInteger))];
+    if (!ignore && !courseIds.length) return res.status(400).json({ error: 'Choose a course or ignore the title' });
+
+    const catalog = await db.getCatalog();
+    const courses = catalog.programs.flatMap(p => p.courses.map(c => ({ ...c, program: p.code })));
+    const chosen  = courseIds.map(id => courses.find(c => c.id === id));
+    if (chosen.includes(undefined)) return res.status(400).json({ error: 'Unknown course' });
+    if (new Set(chosen.map(c => c.program)).size < chosen.length) {
+      return res.status(400).json({ error: 'Choose at most one course per program' });
+    }
+
+    const result = await db.resolveUnmatchedTitle(req.params.id, courseIds, auth.actorName(req.user));
+    if (!result) return res.status(404).json({ error: 'Title not found in the review queue' });
+    for (const a of result.aliases) {
+      await audit.record(req, {
+        action: 'catalog.alias_create', targetType: 'course_alias', targetId: a.id,
+        after: { title: a.title, courseId: a.course_id, ignored: a.course_id === null },
+      });
+    }
+    res.json({ success: true, aliases: result.aliases });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/course-aliases/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const before = await db.deleteCourseAlias(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Alias not found' });
+    await audit.record(req, { action: 'catalog.alias_delete', targetType: 'course_alias', targetId: before.id, before });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── IMPORT PROFILES (column mappings) ─────────────────────────
+
+// Keeps only known fields, trimmed
+function cleanProfile(body) {
+  const columns = {};
+  importer.FIELDS.forEach(f => {
+    const v = String((body.columns || {})[f] || '').trim();
+    if (v) columns[f] = v;
+  });
+  const values = list => (Array.isArray(list) ? list : []).map(v => String(v).trim()).filter(Boolean);
+  return {
+    name:             String(body.name || '').trim(),
+    columns,
+    dateFormat:       body.dateFormat || 'auto',
+    statusValues:     { completed: values((body.statusValues || {}).completed), in_progress: values((body.statusValues || {}).in_progress) },
+    nameFromFilename: !!body.nameFromFilename,
+  };
+}
+
+app.get('/api/import-profiles', auth.requireRole('generator'), async (req, res) => {
+  try {
+    res.json({ profiles: await db.getImportProfiles(), fields: importer.FIELDS, dateFormats: importer.DATE_FORMATS });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/import-profiles', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const data = cleanProfile(req.body);
+    const invalid = importer.validateProfile(data);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const profile = await db.createImportProfile(data);
+    await audit.record(req, { action: 'import.profile_create', targetType: 'import_profile', targetId: profile.id, after: profile });
+    res.json({ success: true, profile });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'An export format with that name already exists' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put('/api/import-profiles/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const data = cleanProfile(req.body);
+    const invalid = importer.validateProfile(data);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const before = await db.getImportProfile(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Export format not found' });
+    const profile = await db.updateImportProfile(req.params.id, data);
+    await audit.record(req, { action: 'import.profile_update', targetType: 'import_profile', targetId: profile.id, before, after: profile });
+    res.json({ success: true, profile });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'An export format with that name already exists' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/import-profiles/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const profile = await db.deleteImportProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Export format not found' });
+    await audit.record(req, { action: 'import.profile_delete', targetType: 'import_profile', targetId: profile.id, before: profile });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── COURSE CATALOG ────────────────────────────────────────────
+// Programs, subject areas, course names, hours and match keywords.
+// Both generators load this instead of keeping their own copies.
+app.get('/api/catalog', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await db.getCatalog());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { program, name, area, hours?, keywords?: [], sortOrder? }
+app.post('/api/catalog/courses', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { program, name, area } = req.body;
+    if (!program || !name || !Number.isInteger(area)) {
+      return res.status(400).json({ error: 'program, name and area required' });
+    }
+    const course = await db.createCourse(req.body);
+    await audit.record(req, { action: 'catalog.course_create', targetType: 'course', targetId: course.id, after: course });
+    res.json({ success: true, course });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A course with that name already exists in this program' });
+    if (e.code === '23503') return res.status(400).json({ error: 'Unknown program or subject area' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put('/api/catalog/courses/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { name, area, hours } = req.body;
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: 'name cannot be empty' });
+    if (area !== undefined && !Number.isInteger(area)) return res.status(400).json({ error: 'area must be an integer' });
+    if (hours !== undefined && !(Number.isInteger(hours) && hours > 0)) return res.status(400).json({ error: 'hours must be a positive integer' });
+    const before = await db.getCourse(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Course not found' });
+    const course = await db.updateCourse(req.params.id, req.body);
+    await audit.record(req, { action: 'catalog.course_update', targetType: 'course', targetId: course.id, before, after: course });
+    res.json({ success: true, course });
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'A course with that name already exists in this program' });
+    if (e.code === '23503') return res.status(400).json({ error: 'Unknown program or subject area' });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/catalog/courses/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const before = await db.getCourse(req.params.id);
+    if (!before) return res.status(404).json({ error: 'Course not found' });
+    await db.deleteCourse(before.id);
+    await audit.record(req, { action: 'catalog.course_delete', targetType: 'course', targetId: before.id, before });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { allowShift?, allowEstimate? }
+app.put('/api/catalog/programs/:code', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const before = (await db.getCatalog()).programs.find(p => p.code === req.params.code);
+    if (!before) return res.status(404).json({ error: 'Program not found' });
+    const bool = v => v === undefined ? undefined : !!v;
+    const p = await db.updateProgramPolicy(before.code, { allowShift: bool(req.body.allowShift), allowEstimate: bool(req.body.allowEstimate) });
+    await audit.record(req, {
+      action: 'catalog.program_update', targetType: 'program', targetId: p.code,
+      before: { allowShift: before.allowShift, allowEstimate: before.allowEstimate },
+      after:  { allowShift: p.allow_shift, allowEstimate: p.allow_estimate },
+    });
+    res.json({ success: true, program: { code: p.code, allowShift: p.allow_shift, allowEstimate: p.allow_estimate } });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Body: { label?, short?, color? }
+app.put('/api/catalog/areas/:index', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const before = (await db.getCatalog()).areas.find(a => String(a.index) === req.params.index);
+    const area = await db.updateSubjectArea(req.params.index, req.body);
+    if (!area) return res.status(404).json({ error: 'Subject area not found' });
+    await audit.record(req, {
+      action: 'catalog.area_update', targetType: 'subject_area', targetId: area.area_index,
+      before, after: { index: area.area_index, label: area.label, short: area.short_label, color: area.color },
+    });
+    res.json({ success: true, area });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Serve assets (signature, logo) as base64 for the frontend — public, the portal uses them
 app.get('/api/assets', (req, res) => {
   try {
     const assetsDir = path.join(__dirname, 'assets');
@@ -130,7 +1268,27 @@ app.post('/api/auth/request', async (req, res) => {
     if (!name || !email) return res.status(400).json({ error: 'Name and email required' });
 
     const emailLower = email.toLowerCase().trim();
-    const students   = await db.findStudentsByEmail(emailLower);
+
+    const limit = await db.recordLinkRequest(emailLower, req.ip, LINK_LIMITS);
+    if (!limit.allowed) {
+      await audit.record(req, {
+        action: 'portal.link_blocked', actor: emailLower,
+        after: { name, reason: limit.reason, retryAfter: limit.retryAfter },
+      });
+      const minutes = Math.max(1, Math.ceil(limit.retryAfter / 60));
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({
+        error: `Too many link requests. Please wait ${minutes} minute${minutes === 1 ? '' : 's'} before requesting another link.`,
+        retryAfter: limit.retryAfter,
+      });
+    }
+
+    const students = await db.findStudentsByEmail(emailLower);
+
+    await audit.record(req, {
+      action: 'portal.link_request', actor: emailLower,
+      after: { name, matchedStudents: students.map(s => s.id) },
+    });
 
     // Always respond OK — never reveal whether an email exists
     if (!students.length) {
@@ -151,20 +1309,29 @@ app.post('/api/auth/request', async (req, res) => {
   }
 });
 
-// ── PORTAL: Verify token → return student data ────────────────
+// Everything the portal shows for one email
+async function portalRecords(email) {
+  const students = await db.findStudentsByEmail(email);
+  return Promise.all(students.map(async s => {
+    const packages = await db.getStudentPackages(s.id);
+    const certs    = await db.getStudentCertificates(s.id);
+    return { ...s, packages, certificates: certs };
+  }));
+}
+
+// ── PORTAL: Verify token → start a session, return student data ──
 app.get('/api/auth/verify/:token', async (req, res) => {
   try {
     const row = await db.verifyMagicToken(req.params.token);
     if (!row) return res.status(401).json({ error: 'Link expired or already used.' });
 
-    const students = await db.findStudentsByEmail(row.email);
-    if (!students.length) return res.status(404).json({ error: 'No records found.' });
+    const records = await portalRecords(row.email);
+    if (!records.length) return res.status(404).json({ error: 'No records found.' });
 
-    const records = await Promise.all(students.map(async s => {
-      const packages = await db.getStudentPackages(s.id);
-      const certs    = await db.getStudentCertificates(s.id);
-      return { ...s, packages, certificates: certs };
-    }));
+    auth.startPortalSession(res, row.email);
+    for (const s of records) {
+      await audit.record(req, { action: 'portal.access', actor: row.email, targetType: 'student', targetId: s.id });
+    }
 
     res.json({ ok: true, email: row.email, students: records });
   } catch (e) {
@@ -173,18 +1340,43 @@ app.get('/api/auth/verify/:token', async (req, res) => {
   }
 });
 
-// ── PORTAL: Student downloads their own PDF ───────────────────
-app.get('/api/portal/pdf/:packageId', async (req, res) => {
+// ── PORTAL: Current session's records (page reloads) ──────────
+app.get('/api/portal/me', auth.requirePortal, async (req, res) => {
   try {
-    const email = (req.query.email || '').toLowerCase().trim();
-    if (!email) return res.status(401).json({ error: 'Email required' });
+    const records = await portalRecords(req.portalEmail);
+    res.json({ ok: true, email: req.portalEmail, students: records });
+  } catch (e) {
+    console.error('Portal session error:', e);
+    res.status(500).json({ error: 'Could not load your records.' });
+  }
+});
+
+app.post('/api/portal/logout', (req, res) => {
+  auth.endPortalSession(res);
+  res.json({ ok: true });
+});
 
+// Streams a package PDF from db.getPackagePDF to the browser straight from its storage backend
+function sendPDF(res, pkg, disposition, fallbackName) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', pkg.size);
+  res.setHeader('Content-Disposition', `${disposition}; filename="${pkg.filename || fallbackName}"`);
+  // A client that hangs up first (a closed tab, or one that stops reading once it has every byte) is not an error
+  pipeline(pkg.stream, res, e => { if (e && e.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('PDF stream error:', e.message); });
+}
+
+// ── PORTAL: Student downloads their own PDF ───────────────────
+app.get('/api/portal/pdf/:packageId', auth.requirePortal, async (req, res) => {
+  try {
+    const packageId = parseInt(req.params.packageId, 10);
+    if (isNaN(packageId)) return res.status(404).json({ error: 'Not found' });
+    const email    = req.portalEmail;
     const students = await db.findStudentsByEmail(email);
     if (!students.length) return res.status(403).json({ error: 'Forbidden' });
 
     const ownerCheck = await db.pool.query(
       'SELECT student_id FROM generated_packages WHERE id = $1',
-      [req.params.packageId]
+      [packageId]
     );
     if (!ownerCheck.rows.length) return res.status(404).json({ error: 'Not found' });
 
@@ -193,47 +1385,329 @@ app.get('/api/portal/pdf/:packageId', async (req, res) => {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    const pkg = await db.getPackagePDF(req.params.packageId);
-    if (!pkg || !pkg.pdf_data) return res.status(404).json({ error: 'PDF not stored for this package' });
+    const pkg = await db.getPackagePDF(packageId);
+    if (!pkg) return res.status(404).json({ error: 'PDF not stored for this package' });
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${pkg.filename || 'CDA_Package.pdf'}"`);
-    res.send(pkg.pdf_data);
+    await audit.record(req, {
+      action: 'portal.download', actor: email, targetType: 'package', targetId: packageId,
+      after: { studentId: ownerCheck.rows[0].student_id, filename: pkg.filename },
+    });
+    sendPDF(res, pkg, 'attachment', 'CDA_Package.pdf');
   } catch (e) {
     console.error('PDF download error:', e);
     res.status(500).json({ error: 'Download failed.' });
   }
 });
 
-// ── ADMIN: View any stored PDF inline ────────────────────────
-app.get('/api/packages/:packageId/pdf', async (req, res) => {
+// ── DIRECTOR VIEW ─────────────────────────────────────────────
+// A center's director signs in with a one-time link sent to the director email on the
+// center record, and sees only that center's staff: their progress and latest packages.
+
+app.post('/api/director/request', async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+    if (!email) return res.status(400).json({ error: 'Email required' });
+
+    const limit = await db.recordLinkRequest(email, req.ip, LINK_LIMITS);
+    if (!limit.allowed) {
+      await audit.record(req, {
+        action: 'director.link_blocked', actor: email, actorType: 'director',
+        after: { reason: limit.reason, retryAfter: limit.retryAfter },
+      });
+      const minutes = Math.max(1, Math.ceil(limit.retryAfter / 60));
+      res.set('Retry-After', String(limit.retryAfter));
+      return res.status(429).json({
+        error: `Too many link requests. Please wait ${minutes} minute${minutes === 1 ? '' : 's'} before requesting another link.`,
+        retryAfter: limit.retryAfter,
+      });
+    }
+
+    const centers = await db.getCentersByDirector(email);
+    await audit.record(req, {
+      action: 'director.link_request', actor: email, actorType: 'director',
+      after: { centers: centers.map(c => c.id) },
+    });
+    // Always respond OK — never reveal whether an email belongs to a director
+    if (!centers.length) return res.json({ ok: true });
+
+    const token = await db.createMagicToken(email, 'director');
+    await sendDirectorLink(email, token, centers[0].director_name, centers.map(c => c.name));
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('Director link error:', e);
+    res.status(500).json({ error: 'Failed to send link. Please try again.' });
+  }
+});
+
+// Everything the director view shows for one director email
+async function directorView(email) {
+  const centers = await db.getCentersByDirector(email);
+  const ids = centers.map(c => c.id);
+  const [progress, students] = ids.length
+    ? await Promise.all([db.getLearnerProgress({ centerIds: ids }), db.getCenterStudents(ids)])
+    : [[], []];
+  return { email, centers: centers.map(c => ({ id: c.id, name: c.name })), progress, students };
+}
+
+app.get('/api/director/verify/:token', async (req, res) => {
+  try {
+    const row = await db.verifyMagicToken(req.params.token, 'director');
+    if (!row) return res.status(401).json({ error: 'Link expired or already used.' });
+    const view = await directorView(row.email);
+    if (!view.centers.length) return res.status(404).json({ error: 'This email no longer directs a center.' });
+    auth.startDirectorSession(res, row.email);
+    for (const c of view.centers) {
+      await audit.record(req, { action: 'director.access', actor: row.email, actorType: 'director', targetType: 'center', targetId: c.id });
+    }
+    res.json(view);
+  } catch (e) {
+    console.error('Director verify error:', e);
+    res.status(500).json({ error: 'Verification failed.' });
+  }
+});
+
+app.get('/api/director/me', auth.requireDirector, async (req, res) => {
+  try {
+    const view = await directorView(req.directorEmail);
+    if (!view.centers.length) return res.status(401).json({ error: 'This email no longer directs a center.' });
+    res.json(view);
+  } catch (e) {
+    res.status(500).json({ error: 'Could not load your center.' });
+  }
+});
+
+app.post('/api/director/logout', (req, res) => {
+  auth.endDirectorSession(res);
+  res.json({ ok: true });
+});
+
+app.get('/api/director/pdf/:packageId', auth.requireDirector, async (req, res) => {
+  try {
+    const packageId = parseInt(req.params.packageId, 10);
+    if (isNaN(packageId)) return res.status(404).json({ error: 'Not found' });
+    const centers  = await db.getCentersByDirector(req.directorEmail);
+    const centerId = await db.getPackageCenter(packageId);
+    if (centerId === undefined) return res.status(404).json({ error: 'Not found' });
+    if (!centers.some(c => c.id === centerId)) return res.status(403).json({ error: 'Forbidden' });
+
+    const pkg = await db.getPackagePDF(packageId);
+    if (!pkg) return res.status(404).json({ error: 'PDF not stored for this package' });
+    await audit.record(req, {
+      action: 'director.download', actor: req.directorEmail, actorType: 'director',
+      targetType: 'package', targetId: packageId, after: { centerId, filename: pkg.filename },
+    });
+    sendPDF(res, pkg, 'attachment', 'CDA_Package.pdf');
+  } catch (e) {
+    console.error('Director PDF error:', e);
+    res.status(500).json({ error: 'Download failed.' });
+  }
+});
+
+// ── ADMIN: View any stored PDF inline (?download=1 to save it instead) ──
+app.get('/api/packages/:packageId/pdf', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const packageId = parseInt(req.params.packageId, 10);
+    if (isNaN(packageId)) return res.status(404).json({ error: 'PDF not stored' });
+    const pkg = await db.getPackagePDF(packageId);
+    if (!pkg) return res.status(404).json({ error: 'PDF not stored' });
+
+    await audit.record(req, {
+      action: 'package.download', targetType: 'package', targetId: packageId,
+      after: { filename: pkg.filename, inline: !req.query.download },
+    });
+    sendPDF(res, pkg, req.query.download ? 'attachment' : 'inline', 'package.pdf');
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ── PACKAGE EXPORT ────────────────────────────────────────────
+// Body: { studentIds?: [...], centerId? } — a ZIP of each student's latest stored PDF,
+// plus manifest.csv listing every selected student and whether their PDF is in the ZIP.
+// PDFs are read and added one at a time, so a large export never holds them all in memory.
+app.post('/api/packages/export', auth.requireRole('viewer'), async (req, res) => {
+  const studentIds = (req.body.studentIds || []).map(Number).filter(Number.isInteger);
+  const centerId   = req.body.centerId ? parseInt(req.body.centerId, 10) : null;
+  if (!studentIds.length && !Number.isInteger(centerId)) return res.status(400).json({ error: 'studentIds or centerId required' });
+
+  let rows, center;
+  try {
+    rows = await db.getExportPackages({ studentIds, centerIds: Number.isInteger(centerId) ? [centerId] : [] });
+    if (Number.isInteger(centerId)) {
+      center = await db.getCenter(centerId);
+      if (!center) return res.status(404).json({ error: 'Center not found' });
+    }
+    if (!rows.length) return res.status(404).json({ error: 'No students found' });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+
+  const zipName = (center ? center.name.replace(/[^a-z0-9 ]/gi, '').replace(/\s+/g, '_') + '_' : '') +
+    `CDA_Packages_${isoDate(new Date())}.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+
+  const archive = archiver('zip');
+  archive.on('warning', e => console.error('Export warning:', e));
+  archive.on('error', e => { console.error('Export error:', e); res.destroy(e); });
+  archive.pipe(res);
+
+  try {
+    const used = new Set();
+    const packageIds = [];
+    for (const r of rows) {
+      let pkg;
+      try {
+        pkg = r.package_id && await db.getPackagePDF(r.package_id);
+      } catch (e) {
+        // A missing file or a failed S3 read: leave this one out and say so in the manifest
+        console.error(`Export: package ${r.package_id}:`, e.message);
+        r.status = 'unreadable PDF';
+        continue;
+      }
+      if (!pkg) { r.status = 'no stored PDF'; continue; }
+      // Two students can share a name across programs or centers, so keep every file name unique
+      const base = (pkg.filename || packageFilename(r.name, r.path)).replace(/\.pdf$/i, '');
+      let file = base + '.pdf';
+      for (let n = 2; used.has(file.toLowerCase()); n++) file = `${base} (${n}).pdf`;
+      used.add(file.toLowerCase());
+      await appendEntry(archive, pkg.stream, { name: file, date: r.generated_at });
+      r.status = 'included';
+      r.file   = file;
+      packageIds.push(r.package_id);
+    }
+
+    const manifest = rows.map(r => ({ ...r, generated_at: r.file ? isoDate(r.generated_at) : '' }));
+    archive.append(audit.toCSV(manifest,
+      ['name', 'email', 'path_label', 'center_name', 'status', 'file', 'generated_at'],
+      ['Name', 'Email', 'Program', 'Center', 'Status', 'File', 'Generated']), { name: 'manifest.csv' });
+
+    await audit.record(req, {
+      action: 'package.export', targetType: center ? 'center' : 'package', targetId: center ? center.id : null,
+      after: { students: rows.length, packageIds, missing: rows.filter(r => !r.file).map(r => r.id) },
+    });
+    await archive.finalize();
+  } catch (e) {
+    // The ZIP has started streaming, so the only way to report the failure is to cut it short
+    console.error('Export failed:', e);
+    archive.abort();
+    res.destroy(e);
+  }
+});
+
+// Adds a stream to the ZIP and resolves once it is all in. Rejects when the stream or the archive
+// fails part-way — the ZIP then can't be finished, and the caller has to abort it.
+function appendEntry(archive, stream, data) {
+  return new Promise((resolve, reject) => {
+    const done = e => {
+      archive.off('entry', onEntry).off('error', done);
+      stream.off('error', done);
+      if (e) { stream.destroy(); reject(e); } else resolve();
+    };
+    const onEntry = () => done();
+    archive.on('entry', onEntry).on('error', done);
+    stream.on('error', done);
+    archive.append(stream, data);
+  });
+}
+
+// ── AUDIT LOG ─────────────────────────────────────────────────
+// Query: action?, actor?, targetType?, targetId?, from?, to? (YYYY-MM-DD), limit?, offset?
+app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await db.getAuditEvents(req.query));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Same filters, every matching event as CSV
+app.get('/api/audit/export', auth.requireRole('admin'), async (req, res) => {
   try {
-    const pkg = await db.getPackagePDF(req.params.packageId);
-    if (!pkg || !pkg.pdf_data) return res.status(404).json({ error: 'PDF not stored' });
+    const { events } = await db.getAuditEvents({ ...req.query, all: true });
+    await audit.record(req, { action: 'audit.export', after: { filters: req.query, rows: events.length } });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(audit.toCSV(events));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `inline; filename="${pkg.filename || 'package.pdf'}"`);
-    res.send(pkg.pdf_data);
+// Every certificate whose printed date is not the LMS completion date
+// Query: adjustment? ('shifted' | 'estimated'), path?, format? ('csv')
+app.get('/api/audit/date-adjustments', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const rows = await db.getAdjustedCertificates({ adjustment: req.query.adjustment, path: req.query.path });
+    if (req.query.format !== 'csv') return res.json(rows);
+    await audit.record(req, { action: 'audit.export', after: { report: 'date-adjustments', filters: req.query, rows: rows.length } });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="date-adjustments-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(audit.toCSV(rows, ['student_name', 'path', 'course_name', 'status', 'source_date', 'printed_date', 'date_adjustment', 'days_shifted', 'created_at']));
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+// ── PUBLIC VERIFICATION ───────────────────────────────────────
+// Anyone holding a certificate can confirm it here. Only the learner name, course,
+// date, hours and status are returned — nothing else about the student.
+app.get('/api/verify/:code', async (req, res) => {
+  try {
+    const v = await db.getVerification(req.params.code);
+    if (!v) return res.status(404).json({ error: 'No certificate or package has this verification code.' });
+    res.json({
+      code:    v.code,
+      kind:    v.kind,
+      name:    v.learner_name,
+      course:  v.course_name,
+      date:    isoDate(v.cert_date),
+      hours:   v.hours,
+      status:  v.status,
+      revokedAt: v.revoked_at,
+    });
+  } catch (e) {
+    console.error('Verify code error:', e);
+    res.status(500).json({ error: 'Verification failed.' });
+  }
+});
+
+app.get(['/verify', '/verify/:code'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'verify.html'));
+});
+
 // Student portal
 app.get('/portal', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'portal.html'));
 });
 
+// Center director view
+app.get('/director', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'director.html'));
+});
+
+// Admin login
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 // Catch-all — serve the frontend app
-app.get('*', (req, res) => {
+app.get('*', auth.requirePage, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // ── START ─────────────────────────────────────────────────────
 async function start() {
   await db.initDB();
+  await auth.bootstrapAdmin();
+  await purgeTrash();
+  setInterval(purgeTrash, 6 * 60 * 60 * 1000).unref();
+  processDeliveries();
   app.listen(PORT, () => {
     console.log(`🎓 National CDA Training Generator running on port ${PORT}`);
   });
 }
-start().catch(console.error);
+start().catch(e => {
+  console.error('❌ Could not start:', e.message);
+  process.exit(1);
+});
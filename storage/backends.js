@@ -0,0 +1,98 @@
+// storage/backends.js — Where package PDFs are kept. Each backend stores a file under its
+// content hash (sha256, hex) and has put(hash, buffer), get(hash) → readable stream, exists(hash)
+// and remove(hash). Putting a hash that is already stored leaves the stored file as it is.
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// Files are spread over 256 folders by the first two hash characters
+const keyOf = hash => `${hash.slice(0, 2)}/${hash}.pdf`;
+
+// ── LOCAL FILESYSTEM ──────────────────────────────────────────
+// Files live under <dir>/<ab>/<hash>.pdf. Writes go to a temporary file first,
+// so a crash never leaves a half-written PDF under its final name.
+
+function local({ dir }) {
+  const fileOf = hash => path.join(dir, keyOf(hash));
+  const exists = hash => fs.promises.access(fileOf(hash)).then(() => true, () => false);
+  return {
+    name: 'local',
+    exists,
+    async put(hash, buffer) {
+      const file = fileOf(hash);
+      if (await exists(hash)) return;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    },
+    async get(hash) {
+      const file = fileOf(hash);
+      await fs.promises.access(file).catch(() => { throw new Error(`PDF ${hash} is missing from ${dir}`); });
+      return fs.createReadStream(file);
+    },
+    async remove(hash) {
+      await fs.promises.rm(fileOf(hash), { force: true });
+    },
+  };
+}
+
+// ── S3-COMPATIBLE (AWS S3, MinIO, R2…) ────────────────────────
+// Plain REST requests signed with AWS Signature V4. With an endpoint the bucket is
+// addressed by path (http://minio:9000/<bucket>/<key>), otherwise as <bucket>.s3.<region>.amazonaws.com.
+
+function s3({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix }) {
+  if (!bucket) throw new Error('S3_BUCKET is not set.');
+  if (!accessKeyId || !secretAccessKey) throw new Error('S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set.');
+  const base   = endpoint ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+  const hmac   = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+  async function request(method, hash, body) {
+    const url     = new URL(`${base}/${prefix}${keyOf(hash)}`);
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d+/g, '');
+    const day     = amzDate.slice(0, 8);
+    const headers = { host: url.host, 'x-amz-content-sha256': body ? sha256(body) : 'UNSIGNED-PAYLOAD', 'x-amz-date': amzDate };
+    const signed  = Object.keys(headers).sort();
+    const canonical = [
+      method, url.pathname, '',
+      signed.map(h => `${h}:${headers[h]}\n`).join(''),
+      signed.join(';'), headers['x-amz-content-sha256'],
+    ].join('\n');
+    const scope  = `${day}/${region}/s3/aws4_request`;
+    const key    = hmac(hmac(hmac(hmac('AWS4' + secretAccessKey, day), region), 's3'), 'aws4_request');
+    const signature = hmac(key, ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n')).toString('hex');
+
+    delete headers.host; // fetch sets it from the URL
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signed.join(';')}, Signature=${signature}`;
+    if (body) headers['content-type'] = 'application/pdf';
+    const res = await fetch(url, { method, headers, body });
+    // A missing file is left to the caller; anything else (a missing bucket too) is an error
+    if (!res.ok && !(res.status === 404 && method !== 'PUT')) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`S3 ${method} ${res.status}: ${(text.match(/<Message>([^<]*)</) || [])[1] || text.slice(0, 200)}`);
+    }
+    return res;
+  }
+
+  return {
+    name: 's3',
+    async put(hash, buffer) {
+      await request('PUT', hash, buffer);
+    },
+    async get(hash) {
+      const res = await request('GET', hash);
+      if (res.status === 404) throw new Error(`PDF ${hash} is missing from bucket ${bucket}`);
+      return Readable.fromWeb(res.body);
+    },
+    async exists(hash) {
+      return (await request('HEAD', hash)).status !== 404;
+    },
+    async remove(hash) {
+      await request('DELETE', hash);
+    },
+  };
+}
+
+module.exports = { local, s3 };
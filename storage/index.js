@@ -0,0 +1,40 @@
+// storage/index.js — Picks the backend package PDFs are written to
+// Which backend holds each file is recorded with it (pdf_blobs.backend), so files written
+// before a switch are still read from where they are, as long as that backend stays configured.
+const path     = require('path');
+const crypto   = require('crypto');
+const backends = require('./backends');
+
+// STORAGE_BACKEND picks where new PDFs go: local (default) or s3
+function backendName() {
+  return (process.env.STORAGE_BACKEND || 'local').toLowerCase().trim();
+}
+
+const opened = {};
+function backend(name = backendName()) {
+  if (opened[name]) return opened[name];
+  if (name === 'local') {
+    const dir = path.resolve(process.env.STORAGE_DIR || 'data/pdfs');
+    if (process.env.NODE_ENV === 'production') console.warn(`⚠ STORAGE_BACKEND is local — PDFs are kept in ${dir}, which must be on a persistent disk.`);
+    opened[name] = backends.local({ dir });
+  } else if (name === 's3') {
+    opened[name] = backends.s3({
+      endpoint:        process.env.S3_ENDPOINT,
+      region:          process.env.S3_REGION || 'us-east-1',
+      bucket:          process.env.S3_BUCKET,
+      accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      prefix:          process.env.S3_PREFIX === undefined ? 'pdfs/' : process.env.S3_PREFIX,
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" — use local or s3.`);
+  }
+  return opened[name];
+}
+
+// Files are named by their content, so the same PDF is only ever stored once (also used for certificate snapshots)
+function hashOf(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+module.exports = { backendName, backend, hashOf };
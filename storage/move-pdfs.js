@@ -0,0 +1,24 @@
+// storage/move-pdfs.js — Moves package PDFs still kept in the database (generated_packages.pdf_data)
+// to the storage backend set by STORAGE_BACKEND. Each package is moved on its own, so it is safe
+// to stop and run again. Usage: npm run move-pdfs
+require('dotenv').config();
+const db      = require('../db');
+const storage = require('./');
+
+async function main() {
+  await db.initDB();
+  const ids = await db.getPackagesWithInlinePDF();
+  console.log(`${ids.length} package PDF(s) to move to ${storage.backendName()} storage`);
+  let bytes = 0;
+  for (let i = 0; i < ids.length; i++) {
+    bytes += await db.movePackagePDF(ids[i]);
+    if ((i + 1) % 50 === 0) console.log(`  ${i + 1} / ${ids.length}`);
+  }
+  console.log(`✅ Moved ${ids.length} PDF(s), ${(bytes / 1048576).toFixed(1)} MB`);
+  // Postgres keeps the freed pages until the table is rewritten
+  if (ids.length) console.log('Run VACUUM FULL generated_packages; on the database to give the space back.');
+}
+
+main()
+  .catch(e => { console.error('Moving PDFs failed:', e); process.exitCode = 1; })
+  .finally(() => db.pool.end());
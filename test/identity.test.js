@@ -0,0 +1,54 @@
+// identity.js — record identity and the duplicate finder
+const test   = require('node:test');
+const assert = require('node:assert');
+const { identityKey, learnerKey, editDistance, likelyDuplicates } = require('../identity');
+
+test('identity is the LMS learner ID, else the email', () => {
+  assert.strictEqual(identityKey({ lmsId: ' 4411 ', email: 'a@x.test' }), 'lms:4411');
+  assert.strictEqual(identityKey({ email: ' Maria@Example.com ' }), 'email:maria@example.com');
+  assert.strictEqual(identityKey({ lmsId: '', email: '' }), null);
+});
+
+test('edit distance stops once past the limit', () => {
+  assert.strictEqual(editDistance('ana lopez', 'ana lopes', 2), 1);
+  assert.strictEqual(editDistance('maria garcia', 'ben ray', 2), 3);
+});
+
+const rec = (id, name, extra = {}) => ({ id, name, email: null, lms_id: null, path: 'pre', ...extra });
+const pairs = list => likelyDuplicates(list).map(p => [p.a.id, p.b.id, p.reasons.join(', ')]);
+
+test('pairs records in the same program by email, name, reordered name and typo', () => {
+  assert.deepStrictEqual(pairs([
+    rec(1, 'Ana Lopez', { email: 'ana@x.test' }),
+    rec(2, 'Ana M. Lopez', { email: 'ANA@x.test' }),
+    rec(3, 'Garcia Maria'),
+    rec(4, 'María García'),
+    rec(5, 'Jonathan Reyes'),
+    rec(6, 'Jonathon Reyes'),
+    rec(7, 'Ana Lopez', { path: 'inf' }),
+  ]), [
+    [1, 2, 'same email, similar name'],
+    [3, 4, 'same name, reordered'],
+    [5, 6, 'similar name'],
+  ]);
+});
+
+test('leaves out different LMS IDs, typos with two different emails and dismissed pairs', () => {
+  const list = [
+    rec(1, 'Maria Garcia', { lms_id: '10' }),
+    rec(2, 'Maria Garcia', { lms_id: '11' }),
+    rec(3, 'Jonathan Reyes', { email: 'jr@x.test' }),
+    rec(4, 'Jonathon Reyes', { email: 'jonr@x.test' }),
+    rec(5, 'Ben Ray'),
+    rec(6, 'Ben Ray'),
+  ];
+  assert.deepStrictEqual(pairs(list), [[5, 6, 'same name']]);
+  assert.deepStrictEqual(likelyDuplicates(list, [{ student_a: 6, student_b: 5 }]), []);
+});
+
+test('learners are keyed like records, falling back to the name', () => {
+  assert.strictEqual(learnerKey({ lmsId: 'S-1', email: 'a@x.test', name: 'Sam Cole' }), 'lms:S-1');
+  assert.strictEqual(learnerKey({ email: 'A@x.test ', name: 'Sam Cole' }), 'email:a@x.test');
+  assert.strictEqual(learnerKey({ name: ' Sam Cole ' }), 'name:sam cole');
+  assert.notStrictEqual(learnerKey({ lmsId: 'S-1', name: 'Sam Cole' }), learnerKey({ lmsId: 'S-2', name: 'Sam Cole' }));
+});
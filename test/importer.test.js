@@ -0,0 +1,50 @@
+// importer.js — reading LMS activity exports with a column-mapping profile
+const test   = require('node:test');
+const assert = require('node:assert');
+const seed     = require('../db/catalog-seed');
+const importer = require('../importer');
+
+let nextId = 0;
+const CATALOG = {
+  programs: seed.PROGRAMS.map(p => ({
+    code: p.code,
+    courses: seed.COURSES[p.code].map(c => ({ id: ++nextId, name: c.name, area: c.area, hours: 3, keywords: c.kw })),
+  })),
+};
+
+const PROFILE = {
+  name: 'Test export',
+  columns: { learnerId: 'Learner ID', email: 'Email', fullName: 'Name', course: 'Course', status: 'Status', date: 'Date' },
+  dateFormat: 'auto',
+  statusValues: { completed: ['Completed'], in_progress: ['In Progress'] },
+  nameFromFilename: false,
+};
+
+const csv = rows => importer.readCSV(Buffer.from(
+  ['Learner ID,Email,Name,Course,Status,Date', ...rows].join('\n')));
+
+test('rows with no learner ID, email or name are skipped, and so are learners with no name', () => {
+  const result = importer.parseExport(csv([
+    ',,,Active Supervision - 3 clock hours,Completed,2025-01-10',
+    ',,,Nutrition - 3 clock hours,Completed,2025-01-11',
+    '4411,,,Nutrition - 3 clock hours,Completed,2025-01-12',
+    ',ana@x.test,,Nutrition - 3 clock hours,Completed,2025-01-12',
+    ',,Ben Ray,Nutrition - 3 clock hours,Completed,2025-01-12',
+  ]), 'export.csv', CATALOG, PROFILE, []);
+  assert.deepStrictEqual(result.skipped, [
+    { line: 2, reason: 'No learner ID, email or name' },
+    { line: 3, reason: 'No learner ID, email or name' },
+    { line: 4, reason: 'No learner name for learner ID 4411' },
+  ]);
+  assert.deepStrictEqual(result.learners.map(l => [l.lmsId, l.email, l.name]).sort(), [
+    [null, '', 'Ben Ray'],
+    [null, 'ana@x.test', 'ana@x.test'],
+  ].sort());
+});
+
+test('a name taken from the file name identifies the learner', () => {
+  const result = importer.parseExport(csv([',,,Nutrition - 3 clock hours,Completed,2025-01-10']),
+    'ana-lopez-report-2025.csv', CATALOG, { ...PROFILE, nameFromFilename: true }, []);
+  assert.deepStrictEqual(result.skipped, []);
+  assert.deepStrictEqual(result.learners.map(l => l.name), ['Ana Lopez']);
+});
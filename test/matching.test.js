@@ -0,0 +1,137 @@
+// Regression set for matcher.js — LMS titles as they appear in real activity exports,
+// with the catalog course each one has to land on. Add a row whenever a title is mismatched.
+const test   = require('node:test');
+const assert = require('node:assert');
+const seed    = require('../db/catalog-seed');
+const matcher = require('../matcher');
+
+let nextId = 0;
+const CATALOG = {};
+seed.PROGRAMS.forEach(p => {
+  CATALOG[p.code] = seed.COURSES[p.code].map(c => ({ id: ++nextId, name: c.name, area: c.area, keywords: c.kw }));
+});
+
+// [title, program, course name it must be assigned to]
+const TITLES = [
+  ['Early Education Essentials - 3 clock hours', 'pre', 'Early Educator Essentials – foundations in health and safety'],
+  ['Active Supervision - 3 clock hours', 'pre', 'Active Supervision'],
+  ['Space Planning for Preschool - 3 clock hours', 'pre', 'Space Planning in the Preschool Classroom'],
+  ['Space Planning for Infants and Toddlers - 3 clock hours', 'inf', 'Space Planning in the Infant and Toddler Classroom'],
+  ['Materials in the Preschool Classroom - 3 clock hours', 'pre', 'Materials in the Preschool Classroom'],
+  ['Materials for Infants and Toddlers - 3 clock hours', 'inf', 'Materials in the Infant and Toddler Classroom'],
+  ['Nutrition - 3 clock hours', 'pre', 'Nutrition'],
+  ['Physical Development in Preschool - 3 clock hours', 'pre', 'Physical Development in Preschool'],
+  ['Infant and Toddler Physical Development - 3 clock hours', 'inf', 'Physical Development in Infant and Toddler'],
+  ['Preschool Language and Literacy - 3 clock hours', 'pre', 'Preschool Language and Literacy'],
+  ['Preschool Technology and Dual Language - 3 clock hours', 'pre', 'Preschool Technology and Dual Language'],
+  ['Language and Literacy for Infants and Toddlers - 3 clock hours', 'inf', 'Infant and Toddler Language and Literacy'],
+  ['Dual Langauge for Infants and Toddlers - 3 clock hours', 'inf', 'Infant and Toddler Dual Language'],
+  ['The Arts for Preschoolers - 3 clock hours', 'pre', 'Preschool and the Arts'],
+  ['The Arts for Infants and Toddlers - 3 clock hours', 'inf', 'The Arts for Infants and Toddlers'],
+  ['Science and Math for Preschool - 3 clock hours', 'pre', 'Science and Math in Preschool'],
+  ['Math and Science for Infants and Toddlers - 3 clock hours', 'inf', 'Science and Math for Infants and Toddlers'],
+  ['Preschool Social Development - 3 clock hours', 'pre', 'Social Development in Preschool'],
+  ['Social Development for Infants and Toddlers - 3 clock hours', 'inf', 'Social Development in Infants and Toddlers'],
+  ['Preschool Self Concept - 3 clock hours', 'pre', 'Supporting Self-Concept in the Preschool Classroom'],
+  ['Supporting Self-Concept in Infants and Toddlers - 3 clock hours', 'inf', 'Supporting Self-Concept in the Infant and Toddler Classroom'],
+  ['Adult Modeling for Preschoolers - 3 clock hours', 'pre', 'Adult Modeling for Preschoolers'],
+  ['Preschool Guidance - 3 clock hours', 'pre', 'Preschool Guidance'],
+  ['Infant and Toddler Guidance - 3 clock hours', 'inf', 'Infant and Toddler Guidance'],
+  ['Cultural Identity in Preschool - 3 clock hours', 'pre', 'Preschool Cultural Identity'],
+  ['Building Productive Relationships Part 1 - 3 clock hours', 'pre', 'Building Productive Relationships with Families - 1'],
+  ['Building Productive Relationships Part 4 - 3 clock hours', 'inf', 'Building Productive Relationships with Families - 4'],
+  ['Preparing for Substitutes - 3 clock hours', 'pre', 'Planning for Substitutes'],
+  ['Community Partnerships - 3 clock hours', 'pre', 'Community Partnerships'],
+  ['Effective Communication with Coworkers - 3 clock hours', 'pre', 'Co-Worker Communication'],
+  ['Record Keeping - 3 clock hours', 'pre', 'Record Keeping'],
+  ['Reporting - 3 clock hours', 'pre', 'Reporting'],
+  ['Advocacy in Early Childhood - 3 clock hours', 'pre', 'Advocacy in Early Childhood'],
+  ['Ethics in Early Childhood - 3 clock hours', 'pre', 'Ethics in the Early Childhood Profession'],
+  ['Professional Development in Early Childhood - 3 clock hours', 'pre', 'Professional Development in Early Childhood'],
+  ['Goal Setting in Early Childhood - 3 clock hours', 'pre', 'Goal Setting in Early Childhood Classrooms'],
+  ['Networking in the Early Childhood Field - 3 clock hours', 'pre', 'Networking for Early Childhood Teachers'],
+  ['Objective Observation - 3 clock hours', 'pre', 'Objective Observation'],
+  ['Assessment - 3 clock hours', 'pre', 'Assessment'],
+  ['Planning from Assessment - 3 clock hours', 'pre', 'Planning from Assessment'],
+  ['Developmental Delays - 3 clock hours', 'pre', 'Developmental Delays'],
+  ['Intervention-Special Needs - 3 clock hours', 'pre', 'Intervention / IEP / Special Needs'],
+  ['Theory Application - Jean Piaget - 3 clock hours', 'pre', 'Theory Application – Jean Piaget'],
+  ['Theory Application: Lev Vygotsky - 3 clock hours', 'inf', 'Theory Application – Lev Vygotsky'],
+  ['Erik Erikson - 3 clock hours', 'pre', 'Theory Application – Erik Erikson'],
+  ['Maria Montessori - 3 clock hours', 'pre', 'Theory Application – Maria Montessori'],
+  ['Urie Bronfenbrenner - 3 clock hours', 'inf', 'Theory Application – Urie Bronfenbrenner'],
+];
+
+const best = (title, program) => {
+  const ranked = matcher.rankCourses(title, CATALOG[program]);
+  return ranked.length ? ranked[0].course.name : null;
+};
+
+test('every regression title ranks its own course first', () => {
+  const wrong = TITLES.filter(([title, program, course]) => best(title, program) !== course)
+    .map(([title, program, course]) => `${title} (${program}): expected "${course}", got "${best(title, program)}"`);
+  assert.deepStrictEqual(wrong, []);
+});
+
+test('a whole program of titles assigns every course exactly once, confidently', () => {
+  ['pre', 'inf'].forEach(program => {
+    const activities = TITLES.filter(t => t[1] === program).map(([title]) => ({ title, status: 'completed', date: '2025-01-01' }));
+    const assigned = matcher.assign(activities, CATALOG[program]);
+    TITLES.filter(t => t[1] === program).forEach(([title, , course]) => {
+      const c = CATALOG[program].find(x => x.name === course);
+      assert.ok(assigned.has(c.id), `${course} was not assigned`);
+      assert.strictEqual(assigned.get(c.id).activity.title, title);
+      assert.notStrictEqual(assigned.get(c.id).confidence, 'ambiguous', `${title} is ambiguous`);
+    });
+  });
+});
+
+test('a short keyword inside another course title does not steal it', () => {
+  // 'language' is a Language and Literacy keyword, but this title is the Technology course
+  const activities = [{ title: 'Preschool Technology and Dual Language - 3 clock hours', status: 'completed', date: '2025-01-01' }];
+  const assigned = matcher.assign(activities, CATALOG.pre);
+  const literacy = CATALOG.pre.find(c => c.name === 'Preschool Language and Literacy');
+  assert.strictEqual(assigned.size, 1);
+  assert.ok(!assigned.has(literacy.id));
+});
+
+test('each title is assigned to at most one course', () => {
+  const activities = [{ title: 'Observation and Assessment', status: 'completed', date: '2025-01-01' }];
+  const assigned = matcher.assign(activities, CATALOG.pre);
+  assert.strictEqual(assigned.size, 1);
+});
+
+test('titles that fit two courses equally well are reported as ambiguous', () => {
+  const activities = [{ title: 'Observation and Assessment', status: 'completed', date: '2025-01-01' }];
+  const [match] = matcher.assign(activities, CATALOG.pre).values();
+  assert.strictEqual(match.confidence, 'ambiguous');
+  assert.strictEqual(match.alternatives.length, 1);
+});
+
+test('a lone short keyword in a long title is low confidence', () => {
+  const activities = [{ title: 'Mandated Child Abuse Reporting for Teachers', status: 'completed', date: '2025-01-01' }];
+  const [match] = matcher.assign(activities, CATALOG.pre).values();
+  assert.strictEqual(match.confidence, 'low');
+});
+
+test('unrelated titles match nothing', () => {
+  ['Underwater Basket Weaving', 'CPR and First Aid Renewal', 'Fire Drill Log'].forEach(title => {
+    assert.strictEqual(best(title, 'pre'), null, title);
+  });
+});
+
+test('when two titles fit one course, the completed one wins', () => {
+  const activities = [
+    { title: 'Active Supervision', status: 'in_progress', date: '2025-03-05' },
+    { title: 'Active Supervision - 3 clock hours', status: 'completed', date: '2025-03-02' },
+  ];
+  const c = CATALOG.pre.find(x => x.name === 'Active Supervision');
+  assert.strictEqual(matcher.assign(activities, CATALOG.pre).get(c.id).activity.status, 'completed');
+});
+
+test('aliased titles skip scoring and count as their course', () => {
+  const nutrition = CATALOG.pre.find(c => c.name === 'Nutrition');
+  const activities = [{ title: 'Healthy Snacks Workshop', status: 'completed', date: '2025-01-01' }];
+  const assigned = matcher.assign(activities, CATALOG.pre, t => t === 'Healthy Snacks Workshop' ? new Set([nutrition.id]) : null);
+  assert.strictEqual(assigned.get(nutrition.id).confidence, 'alias');
+});
@@ -0,0 +1,75 @@
+// storage/ — the contract every PDF backend keeps. The S3 case runs only when S3_ENDPOINT is set,
+// e.g. against MinIO: S3_ENDPOINT=http://localhost:9000 S3_BUCKET=… S3_ACCESS_KEY_ID=… S3_SECRET_ACCESS_KEY=… npm test
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const backends = require('../storage/backends');
+const { hashOf } = require('../storage');
+
+const read = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Fresh content each run, so a shared bucket never already holds it
+const pdf = label => Buffer.from(`%PDF-1.4 ${label} ${process.pid} ${Date.now()} ${Math.random()}`);
+
+async function contract(t, backend) {
+  const body = pdf('contract');
+  const hash = hashOf(body);
+  t.after(() => backend.remove(hash));
+
+  await t.test('put, then get returns the same bytes', async () => {
+    assert.strictEqual(await backend.exists(hash), false);
+    await backend.put(hash, body);
+    assert.strictEqual(await backend.exists(hash), true);
+    assert.deepStrictEqual(await read(await backend.get(hash)), body);
+  });
+
+  await t.test('putting a stored hash again keeps the stored file', async () => {
+    await backend.put(hash, body);
+    assert.deepStrictEqual(await read(await backend.get(hash)), body);
+  });
+
+  await t.test('remove deletes the file and a second remove is harmless', async () => {
+    await backend.remove(hash);
+    assert.strictEqual(await backend.exists(hash), false);
+    await assert.rejects(backend.get(hash), /missing/);
+    await backend.remove(hash);
+  });
+}
+
+test('files are named by their content', () => {
+  assert.strictEqual(hashOf(Buffer.from('same')), hashOf(Buffer.from('same')));
+  assert.notStrictEqual(hashOf(Buffer.from('same')), hashOf(Buffer.from('other')));
+  assert.match(hashOf(Buffer.from('same')), /^[0-9a-f]{64}$/);
+});
+
+test('local backend', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdfs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await contract(t, backends.local({ dir }));
+
+  await t.test('one file per content, under its hash', async () => {
+    const backend = backends.local({ dir });
+    const body = pdf('dedupe');
+    const hash = hashOf(body);
+    await backend.put(hash, body);
+    await backend.put(hash, Buffer.from(body));
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, hash.slice(0, 2))), [`${hash}.pdf`]);
+  });
+});
+
+test('s3 backend', { skip: !process.env.S3_ENDPOINT && 'S3_ENDPOINT is not set' }, async t => {
+  await contract(t, backends.s3({
+    endpoint:        process.env.S3_ENDPOINT,
+    region:          process.env.S3_REGION || 'us-east-1',
+    bucket:          process.env.S3_BUCKET,
+    accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix:          'test-pdfs/',
+  }));
+});